@@ -1,138 +1,697 @@
 /**
- * Interactive Demo Carousel with Lazy Loading GIFs
+ * Carousel Component with Lazy Loading Videos and GIFs
+ *
+ * Every element with a data-carousel attribute becomes its own carousel;
+ * other scripts can create them with window.Carousel.create(root, options).
  *
  * Features:
- * - Navigate through demo cards with prev/next buttons
- * - Show 3 cards on desktop, 1 on mobile
+ * - Navigate through cards with prev/next buttons, page dots,
+ *   touch swipe and mouse drag (with momentum and page snapping)
+ * - Cards per view by viewport width (3 on desktop, 1 on mobile by default)
+ * - Optional autoplay, paused on hover, focus, when off-screen and for
+ *   prefers-reduced-motion
+ * - Deep links to a single card, e.g. #demo=create-contact
+ * - Play demos on hover: MP4/WebM video when a card declares
+ *   data-video-mp4/data-video-webm on .demo-media (the still image is the
+ *   poster), GIF otherwise; videos pause when off-screen
  * - Lazy load GIFs on hover
  * - Smooth transitions
- * - Keyboard navigation support
+ * - WAI-ARIA carousel pattern: slide roles and labels, live-region
+ *   announcements, keyboard navigation scoped to the carousel
+ * - Click opens all demos as a gallery in the shared lightbox (lightbox.js)
+ * - prefers-reduced-motion: GIFs only play on an explicit click
+ *
+ * Markup (only .carousel-track is required):
+ *   <div data-carousel data-carousel-per-view="3"
+ *        data-carousel-breakpoints='{"768": 1}'
+ *        data-carousel-autoplay="6000" data-carousel-deep-link="demo">
+ *     <button class="carousel-btn carousel-prev">…</button>
+ *     <div class="carousel-track-container">
+ *       <div class="carousel-track">…cards…</div>
+ *     </div>
+ *     <button class="carousel-btn carousel-next">…</button>
+ *     <div class="carousel-dots"></div>
+ *     <p class="carousel-status" aria-live="polite"></p>
+ *   </div>
+ *
+ * API:
+ *   const carousel = window.Carousel.create(root, { cardsPerView: 2 });
+ *   carousel.goTo(page); carousel.next(); carousel.prev(); carousel.destroy();
+ *   root.addEventListener('slidechange', e => e.detail.page);
+ *   window.Carousel.get(root);   // existing instance or null
  */
 
 (function() {
     'use strict';
 
-    // Configuration
-    const CONFIG = {
-        cardsPerViewDesktop: 3,
-        cardsPerViewMobile: 1,
-        breakpoint: 768,
+    // Defaults, overridable per carousel by options or data-carousel-* attributes
+    const DEFAULTS = {
+        cardsPerView: 3,
+        breakpoints: { 768: 1 },  // max viewport width (px) -> cards per view
+        autoplay: 0,              // ms between pages; 0 turns autoplay off
+        deepLinkParam: null,      // e.g. 'demo': #demo=<data-demo> opens that card
         rootMargin: '100px',
-        threshold: 0.1
-    };
-
-    // State
-    const state = {
-        currentIndex: 0,
-        cardsPerView: window.innerWidth > CONFIG.breakpoint ? CONFIG.cardsPerViewDesktop : CONFIG.cardsPerViewMobile,
-        totalCards: 0,
-        totalPages: 0,
-        sectionVisible: false,
-        loadedGifs: new Set()
+        threshold: 0.1,
+        swipeThreshold: 50,       // px dragged before a release turns the page
+        flickVelocity: 0.3,       // px/ms; faster releases turn the page regardless of distance
+        momentumMs: 300,          // how far ahead the release velocity is projected
+        edgeResistance: 0.35      // drag damping past the first/last page
     };
 
-    // DOM Elements
-    let track, cards, prevBtn, nextBtn, demoSection;
+    // Carousel instance per root element
+    const instances = new WeakMap();
+    let instanceCount = 0;
 
     /**
-     * Initialize carousel
+     * Create a carousel on a root element
+     * @param {Element} root - Element containing the .carousel-track
+     * @param {Object} [options] - Overrides for DEFAULTS
+     * @returns {Object|null} Carousel API, or null when the markup is incomplete
      */
-    function init() {
-        // Get DOM elements
-        track = document.querySelector('.carousel-track');
-        prevBtn = document.querySelector('.carousel-prev');
-        nextBtn = document.querySelector('.carousel-next');
-        demoSection = document.querySelector('#demo');
-
-        if (!track || !prevBtn || !nextBtn || !demoSection) {
+    function createCarousel(root, options) {
+        // Creating twice would attach every listener a second time
+        if (instances.has(root)) {
+            return instances.get(root);
+        }
+
+        const CONFIG = Object.assign({}, DEFAULTS, readDataOptions(root), options);
+
+        // DOM Elements
+        const track = root.querySelector('.carousel-track');
+        const prevBtn = root.querySelector('.carousel-prev');
+        const nextBtn = root.querySelector('.carousel-next');
+        const dotsContainer = root.querySelector('.carousel-dots');
+        const statusRegion = root.querySelector('.carousel-status');
+        const autoplayToggle = root.querySelector('.carousel-autoplay-toggle');
+        const section = root.closest('section') || root;
+
+        if (!track || track.children.length === 0) {
             console.warn('[Carousel] Required elements not found');
-            return;
+            return null;
         }
 
-        cards = Array.from(track.children);
-        state.totalCards = cards.length;
+        const cards = Array.from(track.children);
+
+        // State
+        const state = {
+            currentIndex: 0,
+            cardsPerView: getCardsPerView(CONFIG),
+            totalCards: cards.length,
+            totalPages: 0,
+            sectionVisible: false,
+            inView: false,
+            loadedGifs: new Set(),
+            drag: null,
+            suppressClick: false,
+            reducedMotion: false,
+            hovered: false,
+            focused: false,
+            autoplayStopped: false,
+            autoplayTimer: null
+        };
         state.totalPages = Math.ceil(state.totalCards / state.cardsPerView);
 
-        // Setup event listeners
-        setupNavigation();
-        setupHoverGifLoading();
-        setupIntersectionObserver();
-        setupKeyboardNavigation();
-        setupResizeHandler();
-        setupLightboxHandlers();
+        // Undo functions run by destroy(): listeners, observers, attributes,
+        // created elements
+        const cleanups = [];
 
-        // Initial state
-        updateButtonStates();
+        function listen(target, type, handler, listenerOptions) {
+            target.addEventListener(type, handler, listenerOptions);
+            cleanups.push(() => target.removeEventListener(type, handler, listenerOptions));
+        }
 
-        console.log('[Carousel] Initialized with', state.totalCards, 'cards');
-    }
+        // Set an attribute that destroy() puts back to its original value
+        function setAttribute(target, name, value) {
+            const original = target.getAttribute(name);
+            target.setAttribute(name, value);
+            cleanups.push(() => {
+                if (original === null) {
+                    target.removeAttribute(name);
+                } else {
+                    target.setAttribute(name, original);
+                }
+            });
+        }
 
-    /**
-     * Setup navigation buttons
-     */
-    function setupNavigation() {
-        prevBtn.addEventListener('click', goToPrevPage);
-        nextBtn.addEventListener('click', goToNextPage);
-    }
+        const api = {
+            root: root,
+            goTo: moveToPage,
+            next: goToNextPage,
+            prev: goToPrevPage,
+            destroy: destroy,
+            getState: () => ({
+                page: state.currentIndex,
+                totalPages: state.totalPages,
+                cardsPerView: state.cardsPerView,
+                autoplaying: state.autoplayTimer !== null
+            })
+        };
+
+        /**
+         * Initialize carousel
+         */
+        function init() {
+            instanceCount++;
+            if (!track.id) {
+                setAttribute(track, 'id', 'carousel-track-' + instanceCount);
+            }
+            [prevBtn, nextBtn].forEach(btn => btn && setAttribute(btn, 'aria-controls', track.id));
+
+            // Setup event listeners
+            setupReducedMotion();
+            setupSlides();
+            setupNavigation();
+            setupSwipe();
+            applyLayout();
+            renderDots();
+            setupHoverPlayback();
+            setupIntersectionObserver();
+            setupKeyboardNavigation();
+            setupResizeHandler();
+            setupAutoplay();
+            setupDeepLinks();
+
+            // Initial state
+            updateButtonStates();
+            updateSlideVisibility();
+
+            instances.set(root, api);
+
+            console.log('[Carousel] Initialized with', state.totalCards, 'cards');
+        }
 
-    /**
-     * Go to previous page
-     */
-    function goToPrevPage() {
-        if (state.currentIndex > 0) {
-            state.currentIndex--;
-            moveToPage(state.currentIndex);
+        /**
+         * Remove every listener, observer and timer, and restore the markup
+         */
+        function destroy() {
+            stopAutoplay();
+            cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+
+            track.style.transform = '';
+            track.style.transition = '';
+            root.style.removeProperty('--carousel-per-view');
+            if (dotsContainer) dotsContainer.innerHTML = '';
+
+            cards.forEach(card => {
+                card.inert = false;
+                card.removeAttribute('aria-hidden');
+            });
+
+            instances.delete(root);
+            console.log('[Carousel] Destroyed');
         }
-    }
 
-    /**
-     * Go to next page
-     */
-    function goToNextPage() {
-        if (state.currentIndex < state.totalPages - 1) {
-            state.currentIndex++;
-            moveToPage(state.currentIndex);
+        /**
+         * Setup navigation buttons
+         */
+        function setupNavigation() {
+            if (prevBtn) listen(prevBtn, 'click', goToPrevPage);
+            if (nextBtn) listen(nextBtn, 'click', goToNextPage);
         }
-    }
 
-    /**
-     * Move carousel to specific page
-     */
-    function moveToPage(pageIndex) {
-        const cardWidth = cards[0].getBoundingClientRect().width;
-        const gap = parseInt(getComputedStyle(track).gap) || 32;
-        const moveAmount = (cardWidth + gap) * state.cardsPerView * pageIndex;
+        /**
+         * Go to previous page
+         */
+        function goToPrevPage() {
+            if (state.currentIndex > 0) {
+                moveToPage(state.currentIndex - 1);
+            }
+        }
 
-        track.style.transform = `translateX(-${moveAmount}px)`;
+        /**
+         * Go to next page
+         */
+        function goToNextPage() {
+            if (state.currentIndex < state.totalPages - 1) {
+                moveToPage(state.currentIndex + 1);
+            }
+        }
 
-        updateButtonStates();
+        /**
+         * Width of one page of cards, including the gaps between them
+         */
+        function getPageWidth() {
+            const cardWidth = cards[0].getBoundingClientRect().width;
+            const gap = parseInt(getComputedStyle(track).gap) || 32;
+            return (cardWidth + gap) * state.cardsPerView;
+        }
 
-        console.log('[Carousel] Moved to page', pageIndex + 1, 'of', state.totalPages);
-    }
+        /**
+         * Move carousel to specific page
+         */
+        function moveToPage(pageIndex) {
+            pageIndex = Math.max(0, Math.min(state.totalPages - 1, pageIndex));
+            const previousPage = state.currentIndex;
+            state.currentIndex = pageIndex;
+
+            const moveAmount = getPageWidth() * pageIndex;
+
+            track.style.transition = '';
+            track.style.transform = `translateX(-${moveAmount}px)`;
+
+            updateButtonStates();
+            updateSlideVisibility();
+            announceVisibleSlides();
+
+            // Off-page demos keep no video playing
+            const visibleCards = getVisibleCards();
+            cards.forEach(card => {
+                const video = card.querySelector('.demo-video');
+                if (video && !video.paused && visibleCards.indexOf(card) === -1) {
+                    stopCardMedia(card);
+                }
+            });
 
-    /**
-     * Update button enabled/disabled states
-     */
-    function updateButtonStates() {
-        prevBtn.disabled = state.currentIndex === 0;
-        nextBtn.disabled = state.currentIndex === state.totalPages - 1;
-    }
+            if (pageIndex !== previousPage) {
+                root.dispatchEvent(new CustomEvent('slidechange', {
+                    detail: { page: pageIndex, previousPage: previousPage, totalPages: state.totalPages, carousel: api }
+                }));
+            }
 
-    /**
-     * Setup hover GIF loading
-     */
-    function setupHoverGifLoading() {
-        cards.forEach(card => {
-            const media = card.querySelector('.demo-media');
+            console.log('[Carousel] Moved to page', pageIndex + 1, 'of', state.totalPages);
+        }
+
+        /**
+         * Update button enabled/disabled states
+         */
+        function updateButtonStates() {
+            if (prevBtn) prevBtn.disabled = state.currentIndex === 0;
+            if (nextBtn) nextBtn.disabled = state.currentIndex === state.totalPages - 1;
+
+            if (dotsContainer) {
+                dotsContainer.querySelectorAll('.carousel-dot').forEach((dot, index) => {
+                    dot.setAttribute('aria-current', index === state.currentIndex ? 'true' : 'false');
+                });
+            }
+        }
+
+        /**
+         * Tell the CSS how many cards share a page (card widths follow it)
+         */
+        function applyLayout() {
+            root.style.setProperty('--carousel-per-view', state.cardsPerView);
+        }
+
+        // ===========================================
+        // ACCESSIBILITY
+        // ===========================================
+
+        /**
+         * Track the visitor's prefers-reduced-motion setting
+         */
+        function setupReducedMotion() {
+            const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+            state.reducedMotion = query.matches;
+
+            listen(query, 'change', function(e) {
+                state.reducedMotion = e.matches;
+                updateAutoplay();
+            });
+        }
+
+        /**
+         * Give each card the ARIA slide role and label ("2 of 6"), and make its
+         * media a keyboard-operable button that opens the lightbox.
+         * Label templates come translated in data-slide-label/data-open-label.
+         */
+        function setupSlides() {
+            const slideLabel = track.getAttribute('data-slide-label') || '{index} of {total}';
+            const openLabel = track.getAttribute('data-open-label') || '{title}';
+
+            cards.forEach((card, index) => {
+                setAttribute(card, 'role', 'group');
+                setAttribute(card, 'aria-roledescription', 'slide');
+                setAttribute(card, 'aria-label', slideLabel
+                    .replace('{index}', index + 1)
+                    .replace('{total}', state.totalCards));
+
+                const media = card.querySelector('.demo-media');
+                const title = card.querySelector('.demo-info h3 span:last-child');
+                if (!media) return;
+
+                setAttribute(media, 'role', 'button');
+                setAttribute(media, 'tabindex', '0');
+                setAttribute(media, 'aria-label', openLabel.replace('{title}', title ? title.textContent.trim() : ''));
+
+                listen(media, 'keydown', function(e) {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        media.click();
+                    }
+                });
+            });
+        }
+
+        /**
+         * Hide off-page slides from assistive technology and the tab order
+         */
+        function updateSlideVisibility() {
+            const visibleCards = getVisibleCards();
+
+            cards.forEach(card => {
+                const hidden = visibleCards.indexOf(card) === -1;
+                card.setAttribute('aria-hidden', hidden ? 'true' : 'false');
+                card.inert = hidden;
+            });
+        }
+
+        /**
+         * Announce the visible slides in the polite live region
+         */
+        function announceVisibleSlides() {
+            if (!statusRegion) return;
+
+            const first = state.currentIndex * state.cardsPerView + 1;
+            const last = Math.min(first + state.cardsPerView - 1, state.totalCards);
+            const template = statusRegion.getAttribute('data-status') || '{first}–{last} / {total}';
+
+            statusRegion.textContent = template
+                .replace('{first}', first)
+                .replace('{last}', last)
+                .replace('{total}', state.totalCards);
+        }
+
+        // ===========================================
+        // PAGE DOTS
+        // ===========================================
+
+        /**
+         * Build one dot per page. Called again when the page count changes.
+         * The label template ("... {page} of {total}") comes translated in
+         * data-page-label.
+         */
+        function renderDots() {
+            if (!dotsContainer) return;
+
+            const labelTemplate = dotsContainer.getAttribute('data-page-label') || 'Page {page} of {total}';
+            dotsContainer.innerHTML = '';
+
+            for (let i = 0; i < state.totalPages; i++) {
+                const dot = document.createElement('button');
+                dot.type = 'button';
+                dot.className = 'carousel-dot';
+                dot.setAttribute('aria-label', labelTemplate
+                    .replace('{page}', i + 1)
+                    .replace('{total}', state.totalPages));
+                // Dots are rebuilt with their container, no cleanup needed
+                dot.addEventListener('click', () => moveToPage(i));
+                dotsContainer.appendChild(dot);
+            }
+
+            // A single page needs no indicator
+            dotsContainer.hidden = state.totalPages < 2;
+        }
+
+        // ===========================================
+        // SWIPE & DRAG
+        // ===========================================
+
+        /**
+         * Setup pointer swipe (touch) and drag (mouse/pen) on the track.
+         * The track follows the pointer; on release the velocity is projected
+         * forward (momentum) and the carousel snaps to the nearest page.
+         */
+        function setupSwipe() {
+            const container = track.parentElement;
+
+            listen(container, 'pointerdown', handlePointerDown);
+            listen(container, 'pointermove', handlePointerMove);
+            listen(container, 'pointerup', handlePointerUp);
+            listen(container, 'pointercancel', handlePointerUp);
+
+            // Native image dragging would steal the mouse drag
+            listen(container, 'dragstart', e => e.preventDefault());
+
+            // A drag that ends over a card must not open the lightbox
+            listen(container, 'click', function(e) {
+                if (state.suppressClick) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    state.suppressClick = false;
+                }
+            }, true);
+        }
+
+        function handlePointerDown(e) {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+            state.suppressClick = false;
+            state.drag = {
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                lastX: e.clientX,
+                lastTime: e.timeStamp,
+                velocity: 0,
+                offset: getPageWidth() * state.currentIndex,
+                active: false
+            };
+        }
+
+        function handlePointerMove(e) {
+            const drag = state.drag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+
+            const dx = e.clientX - drag.startX;
+
+            if (!drag.active) {
+                // Let vertical gestures scroll the page (touch-action: pan-y)
+                if (Math.abs(dx) < 5 || Math.abs(dx) < Math.abs(e.clientY - drag.startY)) return;
+                drag.active = true;
+                track.style.transition = 'none';
+                e.currentTarget.setPointerCapture(e.pointerId);
+            }
+
+            const elapsed = e.timeStamp - drag.lastTime;
+            if (elapsed > 0) {
+                drag.velocity = (e.clientX - drag.lastX) / elapsed;
+            }
+            drag.lastX = e.clientX;
+            drag.lastTime = e.timeStamp;
+
+            // Resist dragging past the first and last page
+            let position = drag.offset - dx;
+            const maxOffset = getPageWidth() * (state.totalPages - 1);
+            if (position < 0) {
+                position *= CONFIG.edgeResistance;
+            } else if (position > maxOffset) {
+                position = maxOffset + (position - maxOffset) * CONFIG.edgeResistance;
+            }
+
+            track.style.transform = `translateX(${-position}px)`;
+        }
+
+        function handlePointerUp(e) {
+            const drag = state.drag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            state.drag = null;
+
+            if (!drag.active) return;
+            state.suppressClick = e.type === 'pointerup';
+
+            const dx = e.clientX - drag.startX;
+            // Stale velocity: the pointer stopped before it was released
+            const velocity = e.timeStamp - drag.lastTime > 100 ? 0 : drag.velocity;
+            const projected = dx + velocity * CONFIG.momentumMs;
+
+            let targetPage = Math.round((drag.offset - projected) / getPageWidth());
+
+            // Short but deliberate gestures still turn at least one page
+            if (targetPage === state.currentIndex &&
+                (Math.abs(dx) > CONFIG.swipeThreshold || Math.abs(velocity) > CONFIG.flickVelocity)) {
+                targetPage += dx < 0 ? 1 : -1;
+            }
+
+            moveToPage(targetPage);
+
+            if (state.sectionVisible) {
+                autoplayVisibleMedia();
+            }
+        }
+
+        // ===========================================
+        // AUTOPLAY
+        // ===========================================
+
+        /**
+         * Setup autoplay (CONFIG.autoplay ms per page, looping). It pauses
+         * while hovered, while focus is inside, while off-screen and for
+         * prefers-reduced-motion. An optional .carousel-autoplay-toggle
+         * button stops and restarts it.
+         */
+        function setupAutoplay() {
+            if (!CONFIG.autoplay) return;
+
+            listen(root, 'mouseenter', () => { state.hovered = true; updateAutoplay(); });
+            listen(root, 'mouseleave', () => { state.hovered = false; updateAutoplay(); });
+            listen(root, 'focusin', () => { state.focused = true; updateAutoplay(); });
+            listen(root, 'focusout', e => {
+                state.focused = root.contains(e.relatedTarget);
+                updateAutoplay();
+            });
+
+            if (autoplayToggle) {
+                listen(autoplayToggle, 'click', function() {
+                    state.autoplayStopped = !state.autoplayStopped;
+                    updateAutoplay();
+                });
+            }
+
+            updateAutoplay();
+        }
+
+        function updateAutoplay() {
+            const running = CONFIG.autoplay > 0 && !state.autoplayStopped && !state.reducedMotion &&
+                state.inView && !state.hovered && !state.focused;
+
+            if (autoplayToggle) {
+                autoplayToggle.setAttribute('aria-pressed', state.autoplayStopped ? 'true' : 'false');
+            }
+            // Rotating slides must not flood screen readers with announcements
+            if (statusRegion) {
+                statusRegion.setAttribute('aria-live', running ? 'off' : 'polite');
+            }
+
+            if (running && !state.autoplayTimer) {
+                state.autoplayTimer = setInterval(function() {
+                    moveToPage(state.currentIndex < state.totalPages - 1 ? state.currentIndex + 1 : 0);
+                }, CONFIG.autoplay);
+            } else if (!running) {
+                stopAutoplay();
+            }
+        }
+
+        function stopAutoplay() {
+            clearInterval(state.autoplayTimer);
+            state.autoplayTimer = null;
+        }
+
+        // ===========================================
+        // DEEP LINKS
+        // ===========================================
+
+        /**
+         * Setup #<param>=<id> deep links, e.g. #demo=create-contact
+         */
+        function setupDeepLinks() {
+            if (!CONFIG.deepLinkParam) return;
+
+            openCardFromHash();
+            listen(window, 'hashchange', openCardFromHash);
+            cleanups.push(() => cards.forEach(card => card.classList.remove('demo-card-linked')));
+        }
+
+        /**
+         * Scroll to the card named in the URL hash (its data-demo), move the
+         * carousel to its page and start its demo
+         */
+        function openCardFromHash() {
+            const match = window.location.hash.match(new RegExp('^#' + CONFIG.deepLinkParam + '=([\\w-]+)$'));
+            if (!match) return;
+
+            const cardIndex = cards.findIndex(card => card.getAttribute('data-demo') === match[1]);
+            if (cardIndex === -1) {
+                console.warn('[Carousel] Unknown demo in link:', match[1]);
+                return;
+            }
+
+            const card = cards[cardIndex];
+            moveToPage(Math.floor(cardIndex / state.cardsPerView));
+            section.scrollIntoView({ behavior: state.reducedMotion ? 'auto' : 'smooth', block: 'start' });
+
+            // A deep link asks for this demo: play without waiting for hover,
+            // unless the visitor prefers reduced motion
+            state.sectionVisible = true;
+            if (!state.reducedMotion) {
+                playCardMedia(card);
+            }
+
+            cards.forEach(c => c.classList.toggle('demo-card-linked', c === card));
+
+            console.log('[Carousel] Opened demo from link:', match[1]);
+        }
+
+        // ===========================================
+        // DEMO MEDIA
+        // ===========================================
+
+        /**
+         * Play a card's demo in place of the thumbnail: the video from the
+         * start when the card has one, otherwise the GIF
+         */
+        function playCardMedia(card) {
             const gifImg = card.querySelector('.demo-gif');
             const stillImg = card.querySelector('.demo-still');
+            const video = card.querySelector('.demo-video');
             const gifUrl = gifImg?.getAttribute('data-gif');
 
-            if (!gifUrl) return;
+            if (video) {
+                video.currentTime = 0;
+                video.play().catch(error => {
+                    console.warn('[Carousel] Video playback failed:', error.message);
+                });
+                video.style.opacity = '1';
+            } else if (gifUrl) {
+                loadGif(gifImg, gifUrl);
+                gifImg.style.opacity = '1';
+            } else {
+                return;
+            }
+
+            if (stillImg) {
+                stillImg.style.opacity = '0';
+            }
+        }
+
+        /**
+         * Stop a card's demo and show the thumbnail again
+         */
+        function stopCardMedia(card) {
+            const gifImg = card.querySelector('.demo-gif');
+            const stillImg = card.querySelector('.demo-still');
+            const video = card.querySelector('.demo-video');
+
+            if (video) {
+                video.pause();
+                video.style.opacity = '0';
+            }
+            if (gifImg) {
+                gifImg.style.opacity = '0';
+            }
+            if (stillImg) {
+                stillImg.style.opacity = '1';
+            }
+        }
+
+        /**
+         * Setup demo playback on hover: a video when the card declares one
+         * (restarted from the beginning), otherwise the GIF
+         */
+        function setupHoverPlayback() {
+            const videos = [];
+
+            cards.forEach(card => {
+                const media = card.querySelector('.demo-media');
+                const gifImg = card.querySelector('.demo-gif');
+                const stillImg = card.querySelector('.demo-still');
+                const gifUrl = gifImg?.getAttribute('data-gif');
+                const video = media ? createCardVideo(media, stillImg) : null;
+
+                if (!media || (!video && !gifUrl)) return;
+                if (video) {
+                    videos.push(video);
+                    cleanups.push(() => video.remove());
+                }
+
+                // Show the demo on hover (reduced motion: only the lightbox plays it)
+                listen(media, 'mouseenter', function() {
+                    if (!state.sectionVisible || state.reducedMotion) return;
+
+                    if (video) {
+                        playCardMedia(card);
+                        return;
+                    }
 
-            // Show GIF on hover
-            media.addEventListener('mouseenter', function() {
-                if (state.sectionVisible) {
                     // Force reload GIF to restart from frame 1
                     const wasLoaded = state.loadedGifs.has(gifUrl);
                     if (wasLoaded) {
@@ -143,255 +702,338 @@
                             gifImg.src = gifUrl;
                             // Fade in the GIF
                             gifImg.style.opacity = '1';
-                            stillImg.style.opacity = '0';
+                            if (stillImg) {
+                                stillImg.style.opacity = '0';
+                            }
                         }, 10);
                     } else {
                         // First time loading
-                        loadGif(gifImg, gifUrl);
-                        // Fade in the GIF
-                        gifImg.style.opacity = '1';
-                        stillImg.style.opacity = '0';
+                        playCardMedia(card);
                     }
-                }
-            });
+                });
 
-            // Reset to thumbnail on mouseleave
-            media.addEventListener('mouseleave', function() {
-                // Fade back to thumbnail
-                gifImg.style.opacity = '0';
-                stillImg.style.opacity = '1';
-            });
+                // Reset to thumbnail on mouseleave
+                listen(media, 'mouseleave', function() {
+                    stopCardMedia(card);
+                });
 
-            // Open lightbox on click
-            media.addEventListener('click', function(e) {
-                e.preventDefault();
-                const gifUrl = gifImg?.getAttribute('data-gif');
-                if (gifUrl && state.sectionVisible) {
-                    openLightbox(gifUrl);
-                }
+                // Open the shared lightbox (lightbox.js) on click, with all demos as a gallery
+                listen(media, 'click', function(e) {
+                    e.preventDefault();
+                    if (!state.sectionVisible) return;
+
+                    if (!window.Lightbox) {
+                        console.warn('[Carousel] lightbox.js not loaded');
+                        return;
+                    }
+                    window.Lightbox.open(getLightboxItems(), cards.indexOf(card), media);
+                });
             });
-        });
-    }
 
-    /**
-     * Load a specific GIF
-     */
-    function loadGif(gifImg, gifUrl) {
-        if (state.loadedGifs.has(gifUrl)) {
-            return;
+            // Pause videos scrolled off-screen
+            if (videos.length > 0) {
+                const observer = new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        if (!entry.isIntersecting && !entry.target.paused) {
+                            stopCardMedia(entry.target.closest('.demo-card'));
+                        }
+                    });
+                });
+                videos.forEach(video => observer.observe(video));
+                cleanups.push(() => observer.disconnect());
+            }
         }
 
-        console.log('[Carousel] Loading GIF:', gifUrl);
+        /**
+         * Load a specific GIF
+         */
+        function loadGif(gifImg, gifUrl) {
+            if (state.loadedGifs.has(gifUrl)) {
+                return;
+            }
 
-        gifImg.src = gifUrl;
-        state.loadedGifs.add(gifUrl);
+            console.log('[Carousel] Loading GIF:', gifUrl);
 
-        gifImg.addEventListener('load', function() {
-            console.log('[Carousel] GIF loaded:', gifUrl);
-        }, { once: true });
+            gifImg.src = gifUrl;
+            state.loadedGifs.add(gifUrl);
 
-        gifImg.addEventListener('error', function() {
-            console.error('[Carousel] Failed to load GIF:', gifUrl);
-        }, { once: true });
-    }
+            gifImg.addEventListener('load', function() {
+                console.log('[Carousel] GIF loaded:', gifUrl);
+            }, { once: true });
 
-    /**
-     * Open lightbox with GIF
-     */
-    function openLightbox(gifUrl) {
-        const lightbox = document.getElementById('demo-lightbox');
-        const lightboxImage = lightbox?.querySelector('.demo-lightbox-image');
+            gifImg.addEventListener('error', function() {
+                console.error('[Carousel] Failed to load GIF:', gifUrl);
+            }, { once: true });
+        }
 
-        if (!lightbox || !lightboxImage) return;
+        /**
+         * Lightbox gallery items for all demo cards: the video when the card
+         * has a playable one, otherwise the GIF. Captions are the card titles.
+         */
+        function getLightboxItems() {
+            return cards.map(card => {
+                const media = card.querySelector('.demo-media');
+                const gifImg = card.querySelector('.demo-gif');
+                const video = card.querySelector('.demo-video');
+                const title = card.querySelector('.demo-info h3 span:last-child');
+                const item = {
+                    alt: gifImg?.getAttribute('alt') || '',
+                    caption: title ? title.textContent.trim() : ''
+                };
+
+                if (video) {
+                    item.type = 'video';
+                    item.sources = getVideoSources(media);
+                    item.poster = video.poster;
+                } else {
+                    item.type = 'image';
+                    item.src = gifImg?.getAttribute('data-gif');
+                }
+                return item;
+            });
+        }
 
-        // Set image source
-        lightboxImage.src = gifUrl;
+        // ===========================================
+        // VISIBILITY, KEYBOARD & RESIZE
+        // ===========================================
+
+        /**
+         * Setup Intersection Observer for section visibility
+         */
+        function setupIntersectionObserver() {
+            const observer = new IntersectionObserver(handleSectionVisibility, {
+                rootMargin: CONFIG.rootMargin,
+                threshold: CONFIG.threshold
+            });
 
-        // Show lightbox
-        lightbox.classList.add('active');
-        lightbox.setAttribute('aria-hidden', 'false');
+            observer.observe(section);
+            cleanups.push(() => observer.disconnect());
+        }
 
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
+        /**
+         * Handle section visibility
+         */
+        function handleSectionVisibility(entries) {
+            entries.forEach(entry => {
+                state.inView = entry.isIntersecting;
+                updateAutoplay();
 
-        console.log('[Carousel] Lightbox opened:', gifUrl);
-    }
+                if (entry.isIntersecting && !state.sectionVisible) {
+                    state.sectionVisible = true;
+                    console.log('[Carousel] Section visible, enabling GIF loading');
 
-    /**
-     * Close lightbox
-     */
-    function closeLightbox() {
-        const lightbox = document.getElementById('demo-lightbox');
+                    // Without hover (touch screens), play the visible demos right away
+                    autoplayVisibleMedia();
+                }
+            });
+        }
 
-        if (!lightbox) return;
+        /**
+         * Play the visible cards' demos on devices that cannot hover
+         */
+        function autoplayVisibleMedia() {
+            if (state.reducedMotion || window.matchMedia('(hover: hover)').matches) return;
 
-        // Hide lightbox
-        lightbox.classList.remove('active');
-        lightbox.setAttribute('aria-hidden', 'true');
+            const visibleCards = getVisibleCards();
 
-        // Restore body scroll
-        document.body.style.overflow = '';
+            // Show GIFs immediately
+            visibleCards.forEach(playCardMedia);
+        }
 
-        // Clear image after animation
-        setTimeout(() => {
-            const lightboxImage = lightbox.querySelector('.demo-lightbox-image');
-            if (lightboxImage) {
-                lightboxImage.src = '';
-            }
-        }, 200); // Match transition time
+        /**
+         * Get currently visible cards
+         */
+        function getVisibleCards() {
+            const startIndex = state.currentIndex * state.cardsPerView;
+            const endIndex = Math.min(startIndex + state.cardsPerView, state.totalCards);
+            return cards.slice(startIndex, endIndex);
+        }
 
-        console.log('[Carousel] Lightbox closed');
-    }
+        /**
+         * Setup keyboard navigation.
+         * Only handles keys while focus is inside the carousel, so arrow keys
+         * keep scrolling and editing text everywhere else on the page.
+         */
+        function setupKeyboardNavigation() {
+            listen(root, 'keydown', function(e) {
+                const pageBefore = state.currentIndex;
+
+                if (e.key === 'ArrowLeft') {
+                    goToPrevPage();
+                } else if (e.key === 'ArrowRight') {
+                    goToNextPage();
+                } else if (e.key === 'Home') {
+                    moveToPage(0);
+                } else if (e.key === 'End') {
+                    moveToPage(state.totalPages - 1);
+                } else {
+                    return;
+                }
+                e.preventDefault();
 
-    /**
-     * Setup lightbox close handlers
-     */
-    function setupLightboxHandlers() {
-        const lightbox = document.getElementById('demo-lightbox');
+                // Keep focus on a visible element: off-page slides become inert
+                if (state.currentIndex !== pageBefore && dotsContainer && dotsContainer.contains(e.target)) {
+                    dotsContainer.children[state.currentIndex].focus();
+                } else if (!e.target.isConnected || e.target.closest('[inert]')) {
+                    const focusTarget = getVisibleCards()[0]?.querySelector('.demo-media, a, button, [tabindex]');
+                    if (focusTarget) focusTarget.focus();
+                }
+            });
+        }
 
-        if (!lightbox) return;
+        /**
+         * Setup resize handler
+         */
+        function setupResizeHandler() {
+            let resizeTimeout;
 
-        // Close on click anywhere
-        lightbox.addEventListener('click', closeLightbox);
+            listen(window, 'resize', function() {
+                clearTimeout(resizeTimeout);
+                resizeTimeout = setTimeout(handleResize, 250);
+            });
+            cleanups.push(() => clearTimeout(resizeTimeout));
+        }
 
-        // Close on Escape key
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'Escape' && lightbox.classList.contains('active')) {
-                closeLightbox();
-            }
-        });
+        /**
+         * Handle window resize
+         */
+        function handleResize() {
+            const newCardsPerView = getCardsPerView(CONFIG);
 
-        // Close on scroll
-        window.addEventListener('scroll', function() {
-            if (lightbox.classList.contains('active')) {
-                closeLightbox();
-            }
-        }, { passive: true });
-    }
+            if (newCardsPerView !== state.cardsPerView) {
+                console.log('[Carousel] Viewport changed, recalculating...');
 
-    /**
-     * Setup Intersection Observer for section visibility
-     */
-    function setupIntersectionObserver() {
-        const observer = new IntersectionObserver(handleSectionVisibility, {
-            rootMargin: CONFIG.rootMargin,
-            threshold: CONFIG.threshold
-        });
+                state.cardsPerView = newCardsPerView;
+                state.totalPages = Math.ceil(state.totalCards / state.cardsPerView);
+                applyLayout();
+                renderDots();
 
-        observer.observe(demoSection);
-    }
+                // Reset to first page
+                moveToPage(0);
 
-    /**
-     * Handle section visibility
-     */
-    function handleSectionVisibility(entries) {
-        entries.forEach(entry => {
-            if (entry.isIntersecting && !state.sectionVisible) {
-                state.sectionVisible = true;
-                console.log('[Carousel] Section visible, enabling GIF loading');
-
-                // On mobile, autoplay all visible GIFs
-                if (window.innerWidth <= CONFIG.breakpoint) {
-                    autoplayVisibleGifs();
+                if (state.sectionVisible) {
+                    autoplayVisibleMedia();
                 }
             }
-        });
+        }
+
+        init();
+        return api;
     }
 
+    // ===========================================
+    // HELPERS
+    // ===========================================
+
     /**
-     * Autoplay visible GIFs (mobile)
+     * Cards per view for the current viewport: the smallest matching
+     * breakpoint wins, otherwise cardsPerView
+     * @param {Object} config - Carousel configuration
+     * @returns {number}
      */
-    function autoplayVisibleGifs() {
-        const visibleCards = getVisibleCards();
-
-        visibleCards.forEach(card => {
-            const gifImg = card.querySelector('.demo-gif');
-            const gifUrl = gifImg?.getAttribute('data-gif');
-
-            if (gifUrl) {
-                loadGif(gifImg, gifUrl);
-                // Show GIF immediately
-                gifImg.style.opacity = '1';
-                const stillImg = card.querySelector('.demo-still');
-                if (stillImg) {
-                    stillImg.style.opacity = '0';
-                }
+    function getCardsPerView(config) {
+        const widths = Object.keys(config.breakpoints || {})
+            .map(Number)
+            .sort((a, b) => a - b);
+
+        for (const width of widths) {
+            if (window.innerWidth <= width) {
+                return config.breakpoints[width];
             }
-        });
+        }
+        return config.cardsPerView;
     }
 
     /**
-     * Get currently visible cards
+     * Options from data-carousel-* attributes
+     * @param {Element} root - Carousel root element
+     * @returns {Object}
      */
-    function getVisibleCards() {
-        const startIndex = state.currentIndex * state.cardsPerView;
-        const endIndex = Math.min(startIndex + state.cardsPerView, state.totalCards);
-        return cards.slice(startIndex, endIndex);
+    function readDataOptions(root) {
+        const options = {};
+        const perView = parseInt(root.getAttribute('data-carousel-per-view'), 10);
+        const autoplay = parseInt(root.getAttribute('data-carousel-autoplay'), 10);
+        const breakpoints = root.getAttribute('data-carousel-breakpoints');
+        const deepLink = root.getAttribute('data-carousel-deep-link');
+
+        if (perView > 0) options.cardsPerView = perView;
+        if (autoplay > 0) options.autoplay = autoplay;
+        if (deepLink) options.deepLinkParam = deepLink;
+        if (breakpoints) {
+            try {
+                options.breakpoints = JSON.parse(breakpoints);
+            } catch (e) {
+                console.warn('[Carousel] Invalid data-carousel-breakpoints:', breakpoints);
+            }
+        }
+        return options;
     }
 
     /**
-     * Setup keyboard navigation
+     * Video sources declared on a card's .demo-media
+     * (data-video-webm, data-video-mp4), in order of preference
+     * @returns {Array<{src: string, type: string}>}
      */
-    function setupKeyboardNavigation() {
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'ArrowLeft') {
-                goToPrevPage();
-            } else if (e.key === 'ArrowRight') {
-                goToNextPage();
-            }
-        });
+    function getVideoSources(media) {
+        return [
+            { src: media.getAttribute('data-video-webm'), type: 'video/webm' },
+            { src: media.getAttribute('data-video-mp4'), type: 'video/mp4' }
+        ].filter(source => source.src);
     }
 
     /**
-     * Setup resize handler
+     * Create a muted, looping inline video for a card, using the still
+     * image as poster. Returns null when the browser can play none of the
+     * sources, so the card keeps using its GIF.
      */
-    function setupResizeHandler() {
-        let resizeTimeout;
+    function createCardVideo(media, stillImg) {
+        const video = document.createElement('video');
+        const sources = getVideoSources(media).filter(source => video.canPlayType(source.type));
+        if (sources.length === 0) return null;
+
+        video.className = 'demo-video';
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.preload = 'none';
+        video.setAttribute('aria-hidden', 'true');
+        if (stillImg) {
+            video.poster = stillImg.currentSrc || stillImg.src;
+        }
 
-        window.addEventListener('resize', function() {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(handleResize, 250);
+        sources.forEach(({ src, type }) => {
+            const source = document.createElement('source');
+            source.src = src;
+            source.type = type;
+            video.appendChild(source);
         });
+
+        media.appendChild(video);
+        return video;
     }
 
     /**
-     * Handle window resize
+     * Create a carousel for every [data-carousel] element not set up yet
+     * @param {ParentNode} [scope=document] - Where to look
+     * @returns {Array<Object>} Carousel APIs
      */
-    function handleResize() {
-        const newCardsPerView = window.innerWidth > CONFIG.breakpoint
-            ? CONFIG.cardsPerViewDesktop
-            : CONFIG.cardsPerViewMobile;
-
-        if (newCardsPerView !== state.cardsPerView) {
-            console.log('[Carousel] Viewport changed, recalculating...');
-
-            state.cardsPerView = newCardsPerView;
-            state.totalPages = Math.ceil(state.totalCards / state.cardsPerView);
-
-            // Reset to first page
-            state.currentIndex = 0;
-            moveToPage(0);
-
-            // On mobile, autoplay visible GIFs
-            if (window.innerWidth <= CONFIG.breakpoint && state.sectionVisible) {
-                autoplayVisibleGifs();
-            }
-        }
+    function initAll(scope) {
+        return Array.from((scope || document).querySelectorAll('[data-carousel]'))
+            .map(root => createCarousel(root))
+            .filter(Boolean);
     }
 
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', () => initAll());
     } else {
-        init();
+        initAll();
     }
 
-    // Expose for debugging
-    window.carouselDebug = {
-        getState: () => state,
-        getConfig: () => CONFIG,
-        goToPage: moveToPage,
-        resetCarousel: init
+    window.Carousel = {
+        create: createCarousel,
+        get: root => instances.get(root) || null,
+        initAll: initAll
     };
 
 })();
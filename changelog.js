@@ -0,0 +1,375 @@
+/**
+ * Changelog Filters and Permalinks
+ *
+ * Client-side behavior of changelog.html, whose release list is rendered
+ * from assets/data/changelog.json by scripts/build-changelog.js.
+ *
+ * Features:
+ * - Filter by section type with the .filter-chip buttons (several can be
+ *   on at once)
+ * - Search the release notes as you type; matches are highlighted with
+ *   <mark>, and a release whose version matches is shown whole
+ * - "Since version": only the releases newer than the chosen one
+ * - Filters are kept in the URL (?type=bugFixes&q=date&since=0.3.0.0), so
+ *   a filtered view can be shared
+ * - Permalinks: #v0.4.0.9 scrolls to that release, clearing filters that
+ *   would hide it; the copy-link button of a release copies its URL
+ *
+ * Markup:
+ *   #changelog-toolbar (hidden until this script runs) with
+ *   #changelog-search, .filter-chip[data-section] and #changelog-since;
+ *   #changelog-status, whose data-template holds {count} and {total};
+ *   #changelog-empty with #changelog-reset;
+ *   .release[data-version] elements with .release-section[data-section]
+ *   parts and a .release-copy-link[data-copied] button
+ */
+
+(function() {
+    'use strict';
+
+    const PARAMS = {
+        types: 'type',
+        query: 'q',
+        since: 'since'
+    };
+
+    const COPIED_MS = 2000;
+    const PERMALINK = /^#v\d+(\.\d+)*$/;
+
+    const toolbar = document.getElementById('changelog-toolbar');
+    if (!toolbar) return;
+
+    const searchInput = document.getElementById('changelog-search');
+    const sinceSelect = document.getElementById('changelog-since');
+    const chips = Array.from(toolbar.querySelectorAll('.filter-chip[data-section]'));
+    const status = document.getElementById('changelog-status');
+    const empty = document.getElementById('changelog-empty');
+    const resetButton = document.getElementById('changelog-reset');
+
+    const releases = Array.from(document.querySelectorAll('.release[data-version]')).map(el => ({
+        el: el,
+        version: el.getAttribute('data-version'),
+        badge: el.querySelector('.version-badge'),
+        notice: el.querySelector('.subscription-notice'),
+        sections: Array.from(el.querySelectorAll('.release-section')).map(section => ({
+            el: section,
+            type: section.getAttribute('data-section'),
+            items: Array.from(section.querySelectorAll(':scope > ul > li'))
+        }))
+    }));
+
+    const state = {
+        types: new Set(),
+        query: '',
+        since: ''
+    };
+
+    /**
+     * Compare dotted versions numerically ("0.4.0.10" > "0.4.0.9")
+     * @returns {number} Negative, zero or positive like a sort comparator
+     */
+    function compareVersions(a, b) {
+        const partsA = a.split('.').map(Number);
+        const partsB = b.split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    function isFiltered() {
+        return state.types.size > 0 || state.query !== '' || state.since !== '';
+    }
+
+    // ===========================================
+    // HIGHLIGHTING
+    // ===========================================
+
+    function clearHighlights() {
+        document.querySelectorAll('.release mark').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(document.createTextNode(mark.textContent));
+            parent.normalize();
+        });
+    }
+
+    /**
+     * Wrap every occurrence of the query in the text of an element with <mark>
+     */
+    function highlight(root, query) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            // Icon names are text too; leave them alone
+            if (!walker.currentNode.parentNode.closest('.material-symbols-outlined')) {
+                nodes.push(walker.currentNode);
+            }
+        }
+
+        nodes.forEach(node => {
+            const text = node.textContent;
+            const lower = text.toLowerCase();
+            let index = lower.indexOf(query);
+            if (index === -1) return;
+
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            while (index !== -1) {
+                fragment.appendChild(document.createTextNode(text.slice(last, index)));
+                const mark = document.createElement('mark');
+                mark.textContent = text.slice(index, index + query.length);
+                fragment.appendChild(mark);
+                last = index + query.length;
+                index = lower.indexOf(query, last);
+            }
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.replaceWith(fragment);
+        });
+    }
+
+    // ===========================================
+    // FILTERING
+    // ===========================================
+
+    function matchesQuery(el) {
+        return el.textContent.toLowerCase().indexOf(state.query) !== -1;
+    }
+
+    /**
+     * Show the releases, sections and items that pass the filters
+     */
+    function apply() {
+        clearHighlights();
+        let shown = 0;
+
+        releases.forEach(release => {
+            const inRange = !state.since || compareVersions(release.version, state.since) > 0;
+            const versionMatch = state.query !== '' && release.version.indexOf(state.query) !== -1;
+            let visibleSections = 0;
+
+            release.sections.forEach(section => {
+                const typeMatch = state.types.size === 0 || state.types.has(section.type);
+                let visibleItems = 0;
+
+                section.items.forEach(item => {
+                    const visible = typeMatch && (!state.query || versionMatch || matchesQuery(item));
+                    item.hidden = !visible;
+                    if (visible) visibleItems++;
+                });
+
+                section.el.hidden = visibleItems === 0;
+                if (visibleItems > 0) visibleSections++;
+            });
+
+            if (release.notice) {
+                release.notice.hidden = state.types.size > 0 ||
+                    (state.query !== '' && !versionMatch && !matchesQuery(release.notice));
+            }
+
+            release.el.hidden = !inRange || visibleSections === 0;
+            if (release.el.hidden) return;
+            shown++;
+
+            if (state.query) {
+                highlight(release.el.querySelector('.release-content'), state.query);
+                if (versionMatch) highlight(release.badge, state.query);
+            }
+        });
+
+        const template = status.getAttribute('data-template') || '';
+        status.textContent = isFiltered()
+            ? template.replace('{count}', shown).replace('{total}', releases.length)
+            : '';
+        empty.hidden = shown > 0;
+
+        updateUrl();
+    }
+
+    // ===========================================
+    // URL STATE
+    // ===========================================
+
+    function readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const types = (params.get(PARAMS.types) || '').split(',');
+        const since = params.get(PARAMS.since) || '';
+
+        state.types = new Set(types.filter(type => chips.some(chip => chip.getAttribute('data-section') === type)));
+        state.query = (params.get(PARAMS.query) || '').trim().toLowerCase();
+        state.since = releases.some(release => release.version === since) ? since : '';
+    }
+
+    function updateUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            types: Array.from(state.types).join(','),
+            query: state.query,
+            since: state.since
+        };
+
+        Object.keys(PARAMS).forEach(name => {
+            if (values[name]) {
+                params.set(PARAMS[name], values[name]);
+            } else {
+                params.delete(PARAMS[name]);
+            }
+        });
+
+        const search = params.toString();
+        const url = window.location.pathname + (search ? '?' + search : '') + window.location.hash;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    function syncControls() {
+        searchInput.value = state.query;
+        sinceSelect.value = state.since;
+        chips.forEach(chip => {
+            chip.setAttribute('aria-pressed', state.types.has(chip.getAttribute('data-section')) ? 'true' : 'false');
+        });
+    }
+
+    function reset() {
+        state.types.clear();
+        state.query = '';
+        state.since = '';
+        syncControls();
+        apply();
+    }
+
+    // ===========================================
+    // PERMALINKS
+    // ===========================================
+
+    /**
+     * Scroll to the release named in the URL hash, clearing filters that
+     * hide it
+     */
+    function openReleaseFromHash() {
+        if (!PERMALINK.test(window.location.hash)) return;
+
+        const target = document.getElementById(window.location.hash.slice(1));
+        if (!target) return;
+
+        if (target.hidden || target.querySelector('.release-content [hidden]')) {
+            reset();
+        }
+        target.scrollIntoView({ block: 'start' });
+    }
+
+    function getReleaseUrl(release) {
+        return window.location.origin + window.location.pathname + '#' + release.el.id;
+    }
+
+    async function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+
+        // Fallback for http:// and older browsers
+        const input = document.createElement('textarea');
+        input.value = text;
+        input.setAttribute('readonly', '');
+        input.style.position = 'fixed';
+        input.style.opacity = '0';
+        document.body.appendChild(input);
+        input.select();
+        try {
+            document.execCommand('copy');
+        } finally {
+            input.remove();
+        }
+    }
+
+    function setupCopyLinks() {
+        releases.forEach(release => {
+            const button = release.el.querySelector('.release-copy-link');
+            if (!button) return;
+
+            const label = button.querySelector('.release-copy-label');
+            const defaultText = label ? label.textContent : '';
+            let timer = null;
+
+            button.addEventListener('click', async () => {
+                try {
+                    await copyText(getReleaseUrl(release));
+                } catch (error) {
+                    console.warn('[Changelog] Failed to copy link:', error.message);
+                    return;
+                }
+
+                button.classList.add('copied');
+                if (label) label.textContent = button.getAttribute('data-copied') || defaultText;
+
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    button.classList.remove('copied');
+                    if (label) label.textContent = defaultText;
+                }, COPIED_MS);
+            });
+        });
+    }
+
+    // ===========================================
+    // INIT
+    // ===========================================
+
+    function setupControls() {
+        // Every release but the newest can be a starting point
+        releases.slice(1).forEach(release => {
+            const option = document.createElement('option');
+            const date = release.el.querySelector('.release-date');
+            option.value = release.version;
+            option.textContent = release.version + (date ? ' (' + date.textContent + ')' : '');
+            sinceSelect.appendChild(option);
+        });
+
+        toolbar.addEventListener('submit', e => e.preventDefault());
+
+        searchInput.addEventListener('input', () => {
+            state.query = searchInput.value.trim().toLowerCase();
+            apply();
+        });
+
+        chips.forEach(chip => {
+            chip.addEventListener('click', () => {
+                const type = chip.getAttribute('data-section');
+                if (state.types.has(type)) {
+                    state.types.delete(type);
+                } else {
+                    state.types.add(type);
+                }
+                chip.setAttribute('aria-pressed', state.types.has(type) ? 'true' : 'false');
+                apply();
+            });
+        });
+
+        sinceSelect.addEventListener('change', () => {
+            state.since = sinceSelect.value;
+            apply();
+        });
+
+        resetButton.addEventListener('click', reset);
+    }
+
+    function init() {
+        setupControls();
+        setupCopyLinks();
+
+        readUrl();
+        syncControls();
+        if (isFiltered()) apply();
+
+        toolbar.hidden = false;
+
+        openReleaseFromHash();
+        window.addEventListener('hashchange', openReleaseFromHash);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
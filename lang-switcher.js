@@ -0,0 +1,234 @@
+/**
+ * Language Switcher
+ *
+ * One switcher for every page, at any folder depth.
+ *
+ * Features:
+ * - Menu links come from the page's <link rel="alternate" hreflang> tags
+ *   (written by scripts/patch-head.js), so they point at the same page in
+ *   each language and only list languages the page exists in
+ * - Links are made relative to the canonical URL (site-links.js), so they
+ *   also work on preview hosts and locally
+ * - Marks the current language (<html lang>) with aria-current
+ * - Remembers the visitor's choice in localStorage
+ * - Once, suggests a translated version in a dismissible banner when the
+ *   saved choice or navigator.languages matches another language of the page
+ *
+ * Markup: the #lang-dropdown in the page header (.lang-toggle button and
+ * an empty .lang-menu). The banner is created on demand. Needs
+ * site-links.js, loaded before this script.
+ *
+ * Adding a language: add it to LANGUAGES below and to build:i18n in
+ * package.json.
+ */
+
+(function() {
+    'use strict';
+
+    // Native names and banner strings, in each language's own words
+    const LANGUAGES = {
+        en: { name: 'English', suggest: 'This page is available in English.', switchTo: 'Switch to English', dismiss: 'Dismiss' },
+        es: { name: 'Español', suggest: 'Esta página está disponible en español.', switchTo: 'Ver en español', dismiss: 'Cerrar' },
+        fr: { name: 'Français', suggest: 'Cette page est disponible en français.', switchTo: 'Lire en français', dismiss: 'Fermer' },
+        de: { name: 'Deutsch', suggest: 'Diese Seite ist auf Deutsch verfügbar.', switchTo: 'Auf Deutsch lesen', dismiss: 'Schließen' },
+        it: { name: 'Italiano', suggest: 'Questa pagina è disponibile in italiano.', switchTo: 'Leggi in italiano', dismiss: 'Chiudi' },
+        pt: { name: 'Português', suggest: 'Esta página está disponível em português.', switchTo: 'Ler em português', dismiss: 'Fechar' },
+        nl: { name: 'Nederlands', suggest: 'Deze pagina is beschikbaar in het Nederlands.', switchTo: 'Lees in het Nederlands', dismiss: 'Sluiten' },
+        pl: { name: 'Polski', suggest: 'Ta strona jest dostępna po polsku.', switchTo: 'Czytaj po polsku', dismiss: 'Zamknij' }
+    };
+
+    const STORAGE_KEYS = {
+        preferred: 'langSwitcher.preferred',
+        dismissed: 'langSwitcher.bannerDismissed'
+    };
+
+    // ===========================================
+    // STORAGE
+    // ===========================================
+
+    // localStorage throws when blocked (private mode, disabled cookies)
+    function readStorage(key) {
+        try {
+            return window.localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writeStorage(key, value) {
+        try {
+            window.localStorage.setItem(key, value);
+        } catch (e) {
+            // The choice is simply not remembered
+        }
+    }
+
+    // ===========================================
+    // LINKS
+    // ===========================================
+
+    /**
+     * Languages the page exists in, with links that work on this host
+     * @returns {Array<{code: string, href: string}>}
+     */
+    function getAlternates() {
+        const links = document.querySelectorAll('link[rel="alternate"][hreflang]');
+        const alternates = [];
+
+        links.forEach(function(link) {
+            const code = link.getAttribute('hreflang');
+            if (code === 'x-default' || !LANGUAGES[code]) return;
+
+            alternates.push({ code: code, href: window.SiteLinks.localHref(link.href) });
+        });
+
+        return alternates;
+    }
+
+    // ===========================================
+    // DROPDOWN
+    // ===========================================
+
+    function initDropdown(dropdown, alternates, currentLang) {
+        const toggle = dropdown.querySelector('.lang-toggle');
+        const menu = dropdown.querySelector('.lang-menu');
+        if (!toggle || !menu) return;
+
+        alternates.forEach(function(alternate) {
+            const link = document.createElement('a');
+            link.href = alternate.href;
+            link.textContent = LANGUAGES[alternate.code].name;
+            link.lang = alternate.code;
+            link.hreflang = alternate.code;
+            link.setAttribute('role', 'menuitem');
+            link.setAttribute('data-lang', alternate.code);
+
+            if (alternate.code === currentLang) {
+                link.classList.add('active');
+                link.setAttribute('aria-current', 'true');
+            }
+
+            link.addEventListener('click', function() {
+                writeStorage(STORAGE_KEYS.preferred, alternate.code);
+            });
+            menu.appendChild(link);
+        });
+
+        function setOpen(open) {
+            toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+            dropdown.classList.toggle('open', open);
+        }
+
+        toggle.addEventListener('click', function(e) {
+            e.preventDefault();
+            setOpen(toggle.getAttribute('aria-expanded') !== 'true');
+        });
+
+        // Close on click outside
+        document.addEventListener('click', function(e) {
+            if (!dropdown.contains(e.target)) setOpen(false);
+        });
+
+        dropdown.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && dropdown.classList.contains('open')) {
+                setOpen(false);
+                toggle.focus();
+            }
+        });
+    }
+
+    // ===========================================
+    // SUGGESTION BANNER
+    // ===========================================
+
+    /**
+     * Language to suggest: the saved choice, else the first browser
+     * language the page exists in
+     * @returns {string|null}
+     */
+    function getSuggestedLanguage(alternates) {
+        const available = alternates.map(function(alternate) { return alternate.code; });
+        const saved = readStorage(STORAGE_KEYS.preferred);
+        if (saved && available.indexOf(saved) !== -1) return saved;
+
+        const browserLanguages = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || ''];
+
+        for (let i = 0; i < browserLanguages.length; i++) {
+            const code = String(browserLanguages[i]).toLowerCase().split('-')[0];
+            if (available.indexOf(code) !== -1) return code;
+        }
+        return null;
+    }
+
+    function showBanner(alternate) {
+        const strings = LANGUAGES[alternate.code];
+        const banner = document.createElement('div');
+        banner.className = 'lang-banner';
+        banner.lang = alternate.code;
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', strings.name);
+
+        const text = document.createElement('span');
+        text.className = 'lang-banner-text';
+        text.textContent = strings.suggest;
+
+        const link = document.createElement('a');
+        link.className = 'btn btn-sm btn-primary';
+        link.href = alternate.href;
+        link.hreflang = alternate.code;
+        link.textContent = strings.switchTo;
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'lang-banner-dismiss';
+        dismiss.setAttribute('aria-label', strings.dismiss);
+        dismiss.innerHTML = '<span class="material-symbols-outlined" aria-hidden="true">close</span>';
+
+        link.addEventListener('click', function() {
+            writeStorage(STORAGE_KEYS.preferred, alternate.code);
+        });
+        dismiss.addEventListener('click', function() {
+            banner.remove();
+        });
+
+        banner.appendChild(text);
+        banner.appendChild(link);
+        banner.appendChild(dismiss);
+        document.body.appendChild(banner);
+
+        // The banner is only offered once, answered or not
+        writeStorage(STORAGE_KEYS.dismissed, '1');
+    }
+
+    function initBanner(alternates, currentLang) {
+        if (readStorage(STORAGE_KEYS.dismissed)) return;
+
+        const suggested = getSuggestedLanguage(alternates);
+        if (!suggested || suggested === currentLang) return;
+
+        showBanner(alternates.filter(function(alternate) { return alternate.code === suggested; })[0]);
+    }
+
+    // ===========================================
+    // INIT
+    // ===========================================
+
+    function init() {
+        const currentLang = (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+        const alternates = getAlternates();
+
+        const dropdown = document.getElementById('lang-dropdown');
+        if (dropdown) {
+            initDropdown(dropdown, alternates, currentLang);
+        }
+        initBanner(alternates, currentLang);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
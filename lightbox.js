@@ -0,0 +1,389 @@
+/**
+ * Gallery Lightbox
+ *
+ * One lightbox shared by the demo carousel and blog screenshots.
+ *
+ * Features:
+ * - Galleries: every .lightbox-img on the page opens as one gallery
+ *   (or per data-gallery="name" group when images set it)
+ * - Previous/next with buttons, arrow keys and swipe
+ * - Caption from the alt text and an "n of m" counter
+ * - Images and videos (video items get controls)
+ * - Preloads the neighbouring images
+ * - Modal dialog pattern: focus trap, focus restore, Escape to close
+ * - Keyboard and swipe listeners only live while the lightbox is open
+ *
+ * Markup: a #lightbox element on the page (see index.html); its labels
+ * are translated with data-attr-t, the counter template comes in
+ * data-counter ("{index} of {total}").
+ *
+ * API for other scripts:
+ *   window.Lightbox.open(items, index, opener)
+ *     items:  [{ type: 'image', src, alt, caption }]
+ *             [{ type: 'video', sources: [{ src, type }], poster, alt, caption }]
+ *     opener: element that gets focus back on close (defaults to the
+ *             focused element)
+ *   window.Lightbox.close()
+ */
+
+(function() {
+    'use strict';
+
+    // Configuration
+    const CONFIG = {
+        swipeThreshold: 50,     // px a swipe must travel to change image
+        clearDelay: 200         // ms; matches the fade-out transition
+    };
+
+    // State
+    const state = {
+        items: [],
+        index: 0,
+        opener: null,
+        pointerStartX: null,
+        swiped: false,
+        preloaded: new Set()
+    };
+
+    // DOM Elements
+    let lightbox, stage, image, video, caption, counter, prevBtn, nextBtn, closeBtn;
+
+    /**
+     * Initialize lightbox
+     */
+    function init() {
+        lightbox = document.getElementById('lightbox');
+
+        if (!lightbox) {
+            console.warn('[Lightbox] #lightbox element not found');
+            return;
+        }
+
+        stage = lightbox.querySelector('.lightbox-stage');
+        image = lightbox.querySelector('.lightbox-image');
+        video = lightbox.querySelector('.lightbox-video');
+        caption = lightbox.querySelector('.lightbox-caption');
+        counter = lightbox.querySelector('.lightbox-counter');
+        prevBtn = lightbox.querySelector('.lightbox-prev');
+        nextBtn = lightbox.querySelector('.lightbox-next');
+        closeBtn = lightbox.querySelector('.lightbox-close');
+
+        // Programmatic focus target when nothing inside is focusable
+        lightbox.setAttribute('tabindex', '-1');
+
+        prevBtn.addEventListener('click', showPrevious);
+        nextBtn.addEventListener('click', showNext);
+        closeBtn.addEventListener('click', close);
+
+        // Clicking the backdrop or the image closes; video clicks drive its controls
+        lightbox.addEventListener('click', function(e) {
+            // The click that ends a swipe is not a close request
+            if (state.swiped) {
+                state.swiped = false;
+                return;
+            }
+            if (e.target === lightbox || e.target.classList.contains('lightbox-backdrop') ||
+                e.target === stage || e.target === image) {
+                close();
+            }
+        });
+
+        setupPageImages();
+    }
+
+    // ===========================================
+    // PAGE IMAGES
+    // ===========================================
+
+    /**
+     * Make every .lightbox-img open the lightbox with its gallery.
+     * One delegated listener covers images added later too.
+     */
+    function setupPageImages() {
+        document.querySelectorAll('.lightbox-img').forEach(img => {
+            img.setAttribute('tabindex', '0');
+            img.setAttribute('role', 'button');
+        });
+
+        document.addEventListener('click', function(e) {
+            const img = e.target.closest && e.target.closest('.lightbox-img');
+            if (img) openPageImage(img);
+        });
+
+        document.addEventListener('keydown', function(e) {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList?.contains('lightbox-img')) {
+                e.preventDefault();
+                openPageImage(e.target);
+            }
+        });
+    }
+
+    /**
+     * Open a page image together with the other images of its gallery
+     */
+    function openPageImage(img) {
+        const gallery = img.getAttribute('data-gallery');
+        const images = Array.from(document.querySelectorAll('.lightbox-img'))
+            .filter(other => other.getAttribute('data-gallery') === gallery);
+
+        const items = images.map(other => ({
+            type: 'image',
+            src: other.currentSrc || other.src,
+            alt: other.alt
+        }));
+
+        open(items, images.indexOf(img), img);
+    }
+
+    // ===========================================
+    // OPEN / CLOSE
+    // ===========================================
+
+    /**
+     * Open the lightbox on a gallery
+     * @param {Array<Object>} items - Images/videos of the gallery
+     * @param {number} index - Item to show first
+     * @param {Element} [opener] - Element to focus again on close
+     */
+    function open(items, index, opener) {
+        if (!lightbox || !items || items.length === 0) return;
+
+        state.items = items;
+        state.opener = opener || document.activeElement;
+
+        lightbox.classList.toggle('lightbox-single', items.length < 2);
+        show(index || 0);
+
+        // Show lightbox
+        lightbox.classList.add('active');
+        lightbox.setAttribute('aria-hidden', 'false');
+
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+
+        // Listeners that only matter while open, removed again in close()
+        document.addEventListener('keydown', handleKeydown);
+        stage.addEventListener('pointerdown', handlePointerDown);
+        stage.addEventListener('pointerup', handlePointerUp);
+
+        // Move focus into the dialog
+        closeBtn.focus();
+
+        console.log('[Lightbox] Opened', state.index + 1, 'of', items.length);
+    }
+
+    /**
+     * Close the lightbox and return focus to the opener
+     */
+    function close() {
+        if (!lightbox || !lightbox.classList.contains('active')) return;
+
+        // Hide lightbox
+        lightbox.classList.remove('active');
+        lightbox.setAttribute('aria-hidden', 'true');
+
+        // Restore body scroll
+        document.body.style.overflow = '';
+
+        document.removeEventListener('keydown', handleKeydown);
+        stage.removeEventListener('pointerdown', handlePointerDown);
+        stage.removeEventListener('pointerup', handlePointerUp);
+        state.pointerStartX = null;
+
+        video.pause();
+
+        // Return focus to the element that opened the dialog
+        if (state.opener && typeof state.opener.focus === 'function') {
+            state.opener.focus({ preventScroll: true });
+        }
+        state.opener = null;
+
+        // Clear media after animation
+        setTimeout(() => {
+            if (lightbox.classList.contains('active')) return;
+            image.removeAttribute('src');
+            clearVideo();
+        }, CONFIG.clearDelay);
+
+        console.log('[Lightbox] Closed');
+    }
+
+    // ===========================================
+    // NAVIGATION
+    // ===========================================
+
+    /**
+     * Show one item of the current gallery
+     * @param {number} index - Item index (clamped to the gallery)
+     */
+    function show(index) {
+        state.index = Math.max(0, Math.min(state.items.length - 1, index));
+        const item = state.items[state.index];
+
+        if (item.type === 'video') {
+            showVideo(item);
+        } else {
+            clearVideo();
+            video.hidden = true;
+            image.hidden = false;
+            image.src = item.src;
+            image.alt = item.alt || '';
+        }
+
+        caption.textContent = item.caption || item.alt || '';
+        caption.hidden = !caption.textContent;
+
+        const template = lightbox.getAttribute('data-counter') || '{index} / {total}';
+        counter.textContent = template
+            .replace('{index}', state.index + 1)
+            .replace('{total}', state.items.length);
+
+        // A disabled button drops focus to <body>, outside the focus trap
+        const focused = document.activeElement;
+        prevBtn.disabled = state.index === 0;
+        nextBtn.disabled = state.index === state.items.length - 1;
+        if ((focused === prevBtn || focused === nextBtn) && focused.disabled) {
+            const other = focused === prevBtn ? nextBtn : prevBtn;
+            (other.disabled ? closeBtn : other).focus();
+        }
+
+        preloadNeighbours();
+    }
+
+    function showPrevious() {
+        if (state.index > 0) show(state.index - 1);
+    }
+
+    function showNext() {
+        if (state.index < state.items.length - 1) show(state.index + 1);
+    }
+
+    /**
+     * Load a video item with controls; it autoplays unless the visitor
+     * prefers reduced motion
+     */
+    function showVideo(item) {
+        clearVideo();
+
+        item.sources.forEach(({ src, type }) => {
+            const source = document.createElement('source');
+            source.src = src;
+            source.type = type;
+            video.appendChild(source);
+        });
+        if (item.poster) video.poster = item.poster;
+        video.setAttribute('aria-label', item.alt || '');
+
+        image.hidden = true;
+        image.removeAttribute('src');
+        video.hidden = false;
+        video.load();
+
+        if (!window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            video.play().catch(() => {});
+        }
+    }
+
+    function clearVideo() {
+        video.pause();
+        video.innerHTML = '';
+        video.removeAttribute('poster');
+        video.load();
+    }
+
+    /**
+     * Start loading the previous and next images so navigation is instant
+     */
+    function preloadNeighbours() {
+        [state.index - 1, state.index + 1].forEach(i => {
+            const item = state.items[i];
+            const url = item && (item.type === 'video' ? item.poster : item.src);
+            if (!url || state.preloaded.has(url)) return;
+
+            state.preloaded.add(url);
+            new Image().src = url;
+        });
+    }
+
+    // ===========================================
+    // KEYBOARD & SWIPE
+    // ===========================================
+
+    function handleKeydown(e) {
+        if (e.key === 'Escape') {
+            close();
+        } else if (e.key === 'ArrowLeft') {
+            showPrevious();
+        } else if (e.key === 'ArrowRight') {
+            showNext();
+        } else if (e.key === 'Tab') {
+            trapFocus(e);
+        }
+    }
+
+    /**
+     * Focusable elements inside the lightbox, in tab order
+     */
+    function getFocusableElements() {
+        return Array.from(lightbox.querySelectorAll(
+            'button, [href], video[controls], [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.disabled && !el.hidden && !el.closest('[hidden]'));
+    }
+
+    /**
+     * Keep Tab/Shift+Tab focus inside the open lightbox
+     */
+    function trapFocus(e) {
+        const focusable = getFocusableElements();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || !lightbox.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !lightbox.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    function handlePointerDown(e) {
+        state.pointerStartX = e.clientX;
+        state.swiped = false;
+    }
+
+    function handlePointerUp(e) {
+        if (state.pointerStartX === null) return;
+
+        const dx = e.clientX - state.pointerStartX;
+        state.pointerStartX = null;
+
+        if (Math.abs(dx) < CONFIG.swipeThreshold) return;
+
+        state.swiped = true;
+
+        if (dx < 0) {
+            showNext();
+        } else {
+            showPrevious();
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    window.Lightbox = {
+        open: open,
+        close: close
+    };
+
+})();
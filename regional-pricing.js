@@ -1,11 +1,17 @@
 /**
  * Regional Pricing for Odoo Integration for Gmail
  *
- * Uses ParityDeals API to detect visitor's location and display
- * appropriate pricing that matches the checkout price.
+ * Uses ParityDeals API (through a pluggable discount provider, see
+ * getDiscountProvider) to detect visitor's location and display
+ * appropriate pricing that matches the checkout price, in the visitor's
+ * local currency formatted for the page language.
  *
- * Prices are defined in PLANS (single source of truth).
- * HTML elements use data-plan/data-price/data-price-format attributes.
+ * Prices are defined in assets/data/pricing.json (single source of truth,
+ * also read by the build to fill in default prices and JSON-LD offers).
+ * Only the visible prices are localized: JSON-LD offers keep the USD list
+ * price, the one checkout charges before regional discounts.
+ * HTML elements use data-plan/data-price/data-price-format attributes;
+ * currency symbols next to large prices use data-currency.
  */
 
 (function() {
@@ -15,32 +21,337 @@
     // CONFIGURATION — Single source of truth
     // ===========================================
 
-    const PLANS = {
-        plus: {
-            monthlyPrice: 19,
-            annualDiscount: 0.8 // 20% off for annual
-        },
-        team: {
-            pricePerUser: 19,
-            annualDiscount: 0.8
-        }
+    // Plans and offers live in assets/data/pricing.json, shared with the
+    // build: scripts/sync-pricing.js copies it into the page's
+    // <script type="application/json" id="pricing-config">, so prices do
+    // not depend on a second request. Pages that were not built fetch it.
+    // Loaded by init() before any price is calculated.
+    const PRICING_CONFIG_ID = 'pricing-config';
+    const PRICING_CONFIG_URL = new URL(
+        'assets/data/pricing.json',
+        document.currentScript ? document.currentScript.src : window.location.href
+    ).href;
+
+    let PRICING = null;
+    let PLANS = null;
+
+    /**
+     * Local currencies shown instead of USD, with an approximate rate per USD
+     * and the step prices are rounded to. Checkout remains the authority:
+     * when ParityDeals reports its own exchange rate, that rate wins.
+     */
+    const CURRENCIES = {
+        USD: { rate: 1, roundTo: 0.01 },
+        EUR: { rate: 0.92, roundTo: 0.01 },
+        GBP: { rate: 0.79, roundTo: 0.01 },
+        CHF: { rate: 0.88, roundTo: 0.01 },
+        PLN: { rate: 3.95, roundTo: 1 },
+        BRL: { rate: 5.05, roundTo: 1 },
+        MXN: { rate: 17.1, roundTo: 1 },
+        COP: { rate: 3950, roundTo: 100 },
+        INR: { rate: 83, roundTo: 10 }
+    };
+
+    const EURO_COUNTRIES = ['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+
+    const COUNTRY_CURRENCIES = {
+        GB: 'GBP',
+        CH: 'CHF',
+        PL: 'PLN',
+        BR: 'BRL',
+        MX: 'MXN',
+        CO: 'COP',
+        IN: 'INR'
     };
 
+    const BASE_CURRENCY = 'USD';
+
+    /**
+     * Campaign coupons accepted through ?coupon=CODE.
+     *
+     * Codes are not listed in this script, which would publish all of
+     * them: the coupon endpoint of pricing.json (coupons.api, a URL with
+     * {code} in it; scripts/coupon-stub.js serves it locally) checks them
+     * and answers
+     *   { "status": "valid", "type": "percent", "value": 15, "plans": ["plus", "team"],
+     *     "expires": "2026-06-30", "checkout": { "plus": "https://buy.polar.sh/..." } }
+     *   status   — "valid", "expired" or "invalid" (a 404 is "invalid" too)
+     *   type     — "percent" (value = % off) or "fixed" (value = USD off per month, per seat)
+     *   plans    — plan ids the coupon applies to
+     *   expires  — optional last day (YYYY-MM-DD), also checked here
+     *   checkout — optional checkout link per plan that applies the code
+     * Without an endpoint, codes are ignored.
+     *
+     * Discounts stack in this order: regional discount, then Team volume
+     * tier, then coupon. The annual price is derived from the discounted
+     * monthly price, so a fixed coupon takes value × 12 off per year.
+     *
+     * The "Get" links of the plans a valid code applies to go to the
+     * coupon's checkout, with the code in coupons.checkoutParam. Only
+     * checkouts on coupons.checkoutHosts are used, as only they apply it.
+     */
+    const COUPON_PARAM = 'coupon';
+    const COUPON_TYPES = ['percent', 'fixed'];
+    const COUPON_STATUSES = ['valid', 'expired', 'invalid'];
+
     const CACHE_DURATION_MS = 60 * 60 * 1000; // 1 hour
     const PD_IDENTIFIER = 'ac2b5915-53b6-4f30-a157-847f446ae825';
     const PARITY_DEALS_API = 'https://api.paritydeals.com/api/v1/deals/discount/?pd_identifier=' + PD_IDENTIFIER;
 
+    /**
+     * Approximate regional discounts, used by the static table provider when
+     * testing a country without connecting from it. ParityDeals stays the
+     * source of truth in production.
+     */
+    const DISCOUNT_TABLE = {
+        IN: 60,
+        PK: 60,
+        EG: 60,
+        NG: 60,
+        ID: 55,
+        CO: 50,
+        BR: 50,
+        AR: 50,
+        MX: 40,
+        TR: 50,
+        PL: 35,
+        PT: 25,
+        ES: 20,
+        IT: 15
+    };
+
+    const QUERY_PARAMS = {
+        api: 'pricing-api',
+        country: 'pricing-country',
+        discount: 'pricing-discount',
+        vpn: 'pricing-vpn',
+        currency: 'pricing-currency',
+        rate: 'pricing-rate'
+    };
+
+    /**
+     * The pricing-* overrides are for QA only: visitors of the production
+     * site could otherwise be sent a link showing a made-up price. They
+     * work on any other host (localhost, previews) and, on production,
+     * once QA sets localStorage['regionalPricing.qa'] = '1'.
+     */
+    const PRODUCTION_HOSTS = ['integrationnode.com', 'www.integrationnode.com'];
+    const QA_STORAGE_KEY = 'regionalPricing.qa';
+
+    // Hosts a ?pricing-api mock may live on, besides the page's own origin
+    const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
     // ===========================================
-    // PARITY DEALS API
+    // DISCOUNT PROVIDERS
     // ===========================================
 
+    /*
+     * A discount provider is an object with:
+     *   name          — shown in logs
+     *   getDiscount() — Promise resolving to ParityDeals-shaped data
+     *                   ({ country, countryCode, discountPercentage,
+     *                   currencyCode, exchangeRate, isVpn, isProxy, isTor })
+     *                   or null when no discount information is available
+     */
+
+    /**
+     * Provider backed by the ParityDeals API (or a mock with the same response)
+     * @param {string} apiUrl - Endpoint returning ParityDeals discount JSON
+     * @param {{ cache: boolean }} options - Whether to use the sessionStorage cache
+     * @returns {Object} Discount provider
+     */
+    function createParityDealsProvider(apiUrl, options) {
+        var useCache = !!(options && options.cache);
+
+        return {
+            name: 'paritydeals',
+            getDiscount: async function() {
+                var data = useCache ? getCachedDiscountData() : null;
+                if (data) return data;
+
+                data = await fetchParityDealsDiscount(apiUrl);
+                if (data && useCache) {
+                    cacheDiscountData(data);
+                }
+                return data;
+            }
+        };
+    }
+
+    /**
+     * Provider that looks up a country in a static country→discount table
+     * @param {Object} table - Discount percentages keyed by country code
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @returns {Object} Discount provider
+     */
+    function createStaticTableProvider(table, countryCode) {
+        var code = countryCode.toUpperCase();
+
+        return {
+            name: 'static',
+            getDiscount: async function() {
+                return {
+                    country: code,
+                    countryCode: code,
+                    discountPercentage: table[code] || 0,
+                    isVpn: false,
+                    isProxy: false,
+                    isTor: false
+                };
+            }
+        };
+    }
+
+    /**
+     * Provider driven by the query string, for QA without a VPN:
+     *   ?pricing-country=IN       — country, discount taken from DISCOUNT_TABLE
+     *   ?pricing-discount=40      — explicit discount percentage
+     *   ?pricing-vpn=1            — simulate a VPN visitor
+     *   ?pricing-currency=EUR&pricing-rate=0.9 — simulate a reported currency
+     * @param {URLSearchParams} params - Page query parameters
+     * @returns {Object} Discount provider
+     */
+    function createQueryStringProvider(params) {
+        var countryCode = (params.get(QUERY_PARAMS.country) || 'US').toUpperCase();
+        var tableProvider = createStaticTableProvider(DISCOUNT_TABLE, countryCode);
+
+        return {
+            name: 'query',
+            getDiscount: async function() {
+                var data = await tableProvider.getDiscount();
+
+                if (params.has(QUERY_PARAMS.discount)) {
+                    data.discountPercentage = parseFloat(params.get(QUERY_PARAMS.discount)) || 0;
+                }
+                if (params.has(QUERY_PARAMS.currency)) {
+                    data.currencyCode = params.get(QUERY_PARAMS.currency);
+                    data.exchangeRate = params.get(QUERY_PARAMS.rate);
+                }
+                data.isVpn = params.get(QUERY_PARAMS.vpn) === '1';
+                return data;
+            }
+        };
+    }
+
+    /**
+     * Whether the pricing-* QA overrides are honored on this page view
+     * @returns {boolean}
+     */
+    function isQaEnabled() {
+        if (PRODUCTION_HOSTS.indexOf(window.location.hostname) === -1) return true;
+        try {
+            return window.localStorage.getItem(QA_STORAGE_KEY) === '1';
+        } catch (e) {
+            // localStorage throws when blocked (private mode, disabled cookies)
+            return false;
+        }
+    }
+
+    /**
+     * Resolve a ?pricing-api mock endpoint, which must be on the page's own
+     * origin or on localhost
+     * @param {string} value - Parameter value, absolute or relative URL
+     * @returns {string|null} Absolute URL, or null when it is not allowed
+     */
+    function getMockApiUrl(value) {
+        var url;
+        try {
+            url = new URL(value, window.location.href);
+        } catch (e) {
+            return null;
+        }
+        if (url.origin !== window.location.origin && LOCAL_HOSTS.indexOf(url.hostname) === -1) {
+            return null;
+        }
+        return url.href;
+    }
+
+    function hasOverrides(params) {
+        return Object.keys(QUERY_PARAMS).some(function(key) {
+            return params.has(QUERY_PARAMS[key]);
+        });
+    }
+
+    /**
+     * Pick the discount provider for this page view.
+     * When QA overrides are enabled (see isQaEnabled), ?pricing-api points
+     * the ParityDeals provider at a mock endpoint and any other pricing-*
+     * parameter switches to the query string provider.
+     * @returns {Object} Discount provider
+     */
+    function getDiscountProvider() {
+        var params = new URLSearchParams(window.location.search);
+        var parityDeals = createParityDealsProvider(PARITY_DEALS_API, { cache: true });
+
+        if (!hasOverrides(params)) {
+            return parityDeals;
+        }
+        if (!isQaEnabled()) {
+            console.warn('[RegionalPricing] Ignoring pricing-* parameters: QA overrides are off on this host');
+            return parityDeals;
+        }
+
+        if (params.has(QUERY_PARAMS.api)) {
+            var apiUrl = getMockApiUrl(params.get(QUERY_PARAMS.api));
+            if (apiUrl) {
+                return createParityDealsProvider(apiUrl, { cache: false });
+            }
+            console.warn('[RegionalPricing] Ignoring ' + QUERY_PARAMS.api + ': only this origin or localhost is allowed');
+            params.delete(QUERY_PARAMS.api);
+            if (!hasOverrides(params)) {
+                return parityDeals;
+            }
+        }
+
+        return createQueryStringProvider(params);
+    }
+
+    /**
+     * Read the pricing config inlined by the build
+     * @returns {Object|null} Pricing config, or null when the page has none
+     */
+    function readInlinePricingConfig() {
+        var script = document.getElementById(PRICING_CONFIG_ID);
+        if (!script || !script.textContent.trim()) return null;
+
+        try {
+            return JSON.parse(script.textContent);
+        } catch (error) {
+            console.warn('[RegionalPricing] Invalid inline pricing config:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the shared pricing config (plans and offers)
+     * @returns {Promise<Object|null>} Pricing config or null on error
+     */
+    async function fetchPricingConfig() {
+        try {
+            const response = await fetch(PRICING_CONFIG_URL, {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) {
+                console.warn('[RegionalPricing] Pricing config returned:', response.status);
+                return null;
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.warn('[RegionalPricing] Failed to load pricing config:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Fetch discount information from ParityDeals API
+     * @param {string} apiUrl - Endpoint to query
      * @returns {Promise<Object|null>} Discount data or null on error
      */
-    async function fetchParityDealsDiscount() {
+    async function fetchParityDealsDiscount(apiUrl) {
         try {
-            const response = await fetch(PARITY_DEALS_API, {
+            const response = await fetch(apiUrl, {
                 method: 'GET',
                 headers: { 'Accept': 'application/json' }
             });
@@ -62,41 +373,89 @@
     // ===========================================
 
     /**
-     * Split a raw price into integer and cents parts
-     * @param {number} raw - Raw price value
-     * @returns {{ integer: number, cents: string }}
+     * Resolve the currency to display for a ParityDeals response.
+     * Uses the currency ParityDeals reports when it comes with an exchange
+     * rate, otherwise the bundled table keyed by country code.
+     * @param {Object|null} data - ParityDeals response data
+     * @returns {{ code: string, rate: number, roundTo: number }}
      */
-    function splitPrice(raw) {
-        const integer = Math.floor(raw);
-        const cents = Math.round((raw - integer) * 100).toString().padStart(2, '0');
-        return { integer, cents };
+    function resolveCurrency(data) {
+        var base = { code: BASE_CURRENCY, rate: 1, roundTo: CURRENCIES[BASE_CURRENCY].roundTo };
+        if (!data || data.isVpn || data.isProxy || data.isTor) return base;
+
+        var reportedCode = (data.currencyCode || '').toUpperCase();
+        var reportedRate = parseFloat(data.exchangeRate);
+        if (reportedCode && reportedRate > 0) {
+            var known = CURRENCIES[reportedCode];
+            return { code: reportedCode, rate: reportedRate, roundTo: known ? known.roundTo : 0.01 };
+        }
+
+        var countryCode = (data.countryCode || '').toUpperCase();
+        var code = EURO_COUNTRIES.indexOf(countryCode) !== -1 ? 'EUR' : COUNTRY_CURRENCIES[countryCode];
+        if (!code || !CURRENCIES[code]) return base;
+
+        return { code: code, rate: CURRENCIES[code].rate, roundTo: CURRENCIES[code].roundTo };
+    }
+
+    /**
+     * Convert a USD price into the display currency and round it
+     * @param {number} usd - Price in USD
+     * @param {Object} currency - Currency from resolveCurrency()
+     * @returns {number} Rounded price in the display currency
+     */
+    function convertPrice(usd, currency) {
+        var steps = Math.round((usd * currency.rate) / currency.roundTo);
+        // Fix float noise such as 15.200000000000001
+        return parseFloat((steps * currency.roundTo).toFixed(2));
+    }
+
+    /**
+     * Apply a coupon to a monthly USD price
+     * @param {number} usd - Monthly price in USD, after earlier discounts
+     * @param {string} planId - Plan the price belongs to
+     * @param {Object|null} coupon - Valid coupon from resolveCoupon(), or null
+     * @returns {number} Discounted monthly price in USD (never below 0)
+     */
+    function applyCoupon(usd, planId, coupon) {
+        if (!coupon || coupon.plans.indexOf(planId) === -1) return usd;
+        if (coupon.type === 'fixed') {
+            return Math.max(0, usd - coupon.value);
+        }
+        return usd * (1 - coupon.value / 100);
     }
 
     /**
      * Calculate prices for the PLUS plan
      * @param {number} discountPercent - Regional discount percentage
-     * @returns {Object} Price data keyed by data-price attribute values
+     * @param {Object} currency - Currency from resolveCurrency()
+     * @param {Object|null} coupon - Valid coupon from resolveCoupon(), or null
+     * @returns {Object} Prices keyed by data-price attribute values
      */
-    function calculatePlusPrices(discountPercent) {
+    function calculatePlusPrices(discountPercent, currency, coupon) {
         const multiplier = 1 - (discountPercent / 100);
-        const monthlyRaw = PLANS.plus.monthlyPrice * multiplier;
+        const monthlyRaw = applyCoupon(PLANS.plus.monthlyPrice * multiplier, 'plus', coupon);
         const annualRaw = monthlyRaw * 12 * PLANS.plus.annualDiscount;
 
         return {
-            monthly: splitPrice(monthlyRaw),
-            annual: splitPrice(annualRaw)
+            monthly: convertPrice(monthlyRaw, currency),
+            annual: convertPrice(annualRaw, currency)
         };
     }
 
     /**
      * Calculate prices for the Team plan
      * @param {number} discountPercent - Regional discount percentage
-     * @returns {Object} Price data keyed by data-price attribute values
+     * @param {Object} currency - Currency from resolveCurrency()
+     * @param {Object|null} coupon - Valid coupon from resolveCoupon(), or null
+     * @returns {Object} Prices keyed by data-price attribute values
      */
-    function calculateTeamPrices(discountPercent) {
+    function calculateTeamPrices(discountPercent, currency, coupon) {
         const multiplier = 1 - (discountPercent / 100);
+        const perUserRaw = applyCoupon(PLANS.team.pricePerUser * multiplier, 'team', coupon);
+
         return {
-            perUser: splitPrice(PLANS.team.pricePerUser * multiplier)
+            perUser: convertPrice(perUserRaw, currency),
+            perUserAnnual: convertPrice(perUserRaw * 12 * PLANS.team.annualDiscount, currency)
         };
     }
 
@@ -105,29 +464,95 @@
     // ===========================================
 
     /**
-     * Format price with cents in superscript (for large price displays)
-     * @param {number} integer - Integer part
-     * @param {string} cents - Cents part (2 digits)
+     * Page locale from <html lang>, set per language build
+     * @returns {string} BCP 47 language tag
+     */
+    function getPageLocale() {
+        return document.documentElement.lang || 'en';
+    }
+
+    /**
+     * Build a currency formatter for the page locale.
+     * Whole amounts drop their fraction digits ("19", not "19.00").
+     * @param {number} amount - Price in the display currency
+     * @param {string} currencyCode - ISO 4217 code
+     * @returns {Intl.NumberFormat}
+     */
+    function getCurrencyFormatter(amount, currencyCode) {
+        var digits = amount % 1 === 0 ? 0 : 2;
+        var options = {
+            style: 'currency',
+            currency: currencyCode,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        };
+        try {
+            return new Intl.NumberFormat(getPageLocale(), Object.assign({ currencyDisplay: 'narrowSymbol' }, options));
+        } catch (e) {
+            // Older browsers without narrowSymbol support
+            return new Intl.NumberFormat(getPageLocale(), options);
+        }
+    }
+
+    /**
+     * Split a price into locale-aware parts
+     * @param {number} amount - Price in the display currency
+     * @param {string} currencyCode - ISO 4217 code
+     * @returns {{ symbol: string, position: string, integer: string, decimal: string, cents: string }}
+     */
+    function getPriceParts(amount, currencyCode) {
+        var parts = getCurrencyFormatter(amount, currencyCode).formatToParts(amount);
+        var result = { symbol: '', position: 'prefix', integer: '', decimal: '', cents: '' };
+        var seenNumber = false;
+        parts.forEach(function(part) {
+            if (part.type === 'currency') {
+                result.symbol = part.value;
+                result.position = seenNumber ? 'suffix' : 'prefix';
+            } else if (part.type === 'integer' || part.type === 'group') {
+                result.integer += part.value;
+                seenNumber = true;
+            } else if (part.type === 'decimal') {
+                result.decimal = part.value;
+            } else if (part.type === 'fraction') {
+                result.cents = part.value;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Format price with cents in superscript (for large price displays).
+     * The currency symbol lives in a sibling [data-currency] element.
+     * @param {Object} parts - Result of getPriceParts()
      * @returns {string} HTML string
      */
-    function formatPriceWithCents(integer, cents) {
-        if (cents === '00') {
-            return integer.toString();
+    function formatPriceWithCents(parts) {
+        if (!parts.cents) {
+            return parts.integer;
         }
-        return integer + '<span class="cents">' + cents + '</span>';
+        return parts.integer + '<span class="cents">' + parts.cents + '</span>';
     }
 
     /**
-     * Format price as plain number (no $ symbol — $ is in HTML)
-     * @param {number} integer - Integer part
-     * @param {string} cents - Cents part (2 digits)
-     * @returns {string} Plain text like "182" or "109.20"
+     * Format price as plain number (no currency symbol)
+     * @param {Object} parts - Result of getPriceParts()
+     * @returns {string} Plain text like "182" or "109,20"
      */
-    function formatPriceText(integer, cents) {
-        if (cents === '00') {
-            return integer.toString();
+    function formatPriceText(parts) {
+        if (!parts.cents) {
+            return parts.integer;
         }
-        return integer + '.' + cents;
+        return parts.integer + parts.decimal + parts.cents;
+    }
+
+    /**
+     * Format price with its currency symbol, as the locale writes it
+     * @param {number} amount - Price in the display currency
+     * @param {string} currencyCode - ISO 4217 code
+     * @returns {string} Text like "$182", "182 zł" or "R$ 109"
+     */
+    function formatPriceCurrency(amount, currencyCode) {
+        return getCurrencyFormatter(amount, currencyCode).format(amount);
     }
 
     // ===========================================
@@ -138,38 +563,499 @@
      * Update all DOM elements for a given plan using data attributes.
      *
      * Elements must have:
-     *   data-plan="planId"         — which plan (e.g. "plus", "team")
-     *   data-price="priceKey"      — which price (e.g. "monthly", "annual")
-     *   data-price-format="large"  — formatPriceWithCents (HTML, for .price-large .amount)
-     *   data-price-format="text"   — formatPriceText (plain number, default)
+     *   data-plan="planId"           — which plan (e.g. "plus", "team")
+     *   data-price="priceKey"        — which price (e.g. "monthly", "annual", or
+     *                                  "current"/"alternate" to follow the billing period)
+     *   data-price-format="large"    — formatPriceWithCents (HTML, for .price-large .amount)
+     *   data-price-format="currency" — formatPriceCurrency (number with currency symbol)
+     *   data-price-format="text"     — formatPriceText (plain number, default)
+     *   data-price-original          — optional; shows the price before the coupon
      *
      * @param {string} planId - Plan identifier matching data-plan attribute
-     * @param {Object} prices - Object keyed by data-price values, each { integer, cents }
+     * @param {Object} prices - Object keyed by data-price values, each a number
+     * @param {Object} currency - Currency from resolveCurrency()
+     * @param {boolean} original - Update the data-price-original elements instead
      */
-    function updatePlanPrices(planId, prices) {
+    function updatePlanPrices(planId, prices, currency, original) {
         document.querySelectorAll('[data-plan="' + planId + '"]').forEach(function(el) {
+            if (el.hasAttribute('data-price-original') !== !!original) return;
+
             var priceKey = el.getAttribute('data-price');
             var format = el.getAttribute('data-price-format') || 'text';
-            var priceData = prices[priceKey];
-            if (!priceData) return;
+            var amount = prices[priceKey];
+            if (amount === undefined) return;
 
             if (format === 'large') {
-                el.innerHTML = formatPriceWithCents(priceData.integer, priceData.cents);
+                el.innerHTML = formatPriceWithCents(getPriceParts(amount, currency.code));
+            } else if (format === 'currency') {
+                el.textContent = formatPriceCurrency(amount, currency.code);
             } else {
-                el.textContent = formatPriceText(priceData.integer, priceData.cents);
+                el.textContent = formatPriceText(getPriceParts(amount, currency.code));
             }
         });
     }
 
+    /**
+     * Update standalone currency symbols next to large prices.
+     *
+     * Elements with data-currency get the symbol for the display currency.
+     * Locales that write the symbol after the number (e.g. "19 zł") get it
+     * moved behind the sibling .amount element.
+     *
+     * @param {Object} currency - Currency from resolveCurrency()
+     */
+    function updateCurrencySymbols(currency) {
+        var parts = getPriceParts(0, currency.code);
+        document.querySelectorAll('[data-currency]').forEach(function(el) {
+            el.textContent = parts.symbol;
+
+            var amountEl = el.parentNode && el.parentNode.querySelector('.amount');
+            if (!amountEl) return;
+
+            var isBefore = el.compareDocumentPosition(amountEl) & Node.DOCUMENT_POSITION_FOLLOWING;
+            if (parts.position === 'suffix' && isBefore) {
+                amountEl.after(el);
+                el.classList.add('currency-suffix');
+            } else if (parts.position === 'prefix' && !isBefore) {
+                amountEl.before(el);
+                el.classList.remove('currency-suffix');
+            }
+        });
+    }
+
+    // ===========================================
+    // BILLING PERIOD
+    // ===========================================
+
+    const BILLING_PARAM = 'billing';
+    const BILLING_PERIODS = ['monthly', 'annual'];
+
+    // Current pricing inputs, re-rendered when the billing period changes
+    const pricingState = {
+        billing: getBillingFromUrl(),
+        discountPercent: 0,
+        currency: null,
+        coupon: null,
+        billingSwitchReady: false
+    };
+
+    /**
+     * Read the billing period from ?billing=annual
+     * @returns {string} "monthly" or "annual"
+     */
+    function getBillingFromUrl() {
+        var period = new URLSearchParams(window.location.search).get(BILLING_PARAM);
+        return BILLING_PERIODS.indexOf(period) !== -1 ? period : BILLING_PERIODS[0];
+    }
+
+    /**
+     * Add period-aware price keys to a plan's prices:
+     *   current   — price for the selected billing period
+     *   alternate — price for the other billing period
+     * @param {string} planId - Plan identifier (key of PLANS)
+     * @param {Object} prices - Prices from calculate*Prices()
+     * @param {string} period - "monthly" or "annual"
+     * @returns {Object} The same prices object
+     */
+    function addPeriodPrices(planId, prices, period) {
+        var keys = PLANS[planId].periodPrices;
+        var other = period === 'annual' ? 'monthly' : 'annual';
+        prices.current = prices[keys[period]];
+        prices.alternate = prices[keys[other]];
+        return prices;
+    }
+
+    /**
+     * Show elements for the selected billing period and sync the switches.
+     *
+     *   data-billing-show="monthly|annual" — only visible for that period
+     *   data-billing="monthly|annual"      — switch buttons (role="radio")
+     *
+     * @param {string} period - "monthly" or "annual"
+     */
+    function updateBillingVisibility(period) {
+        document.querySelectorAll('[data-billing-show]').forEach(function(el) {
+            el.hidden = el.getAttribute('data-billing-show') !== period;
+        });
+        document.querySelectorAll('[data-billing]').forEach(function(btn) {
+            btn.setAttribute('aria-checked', String(btn.getAttribute('data-billing') === period));
+        });
+    }
+
+    /**
+     * Keep the billing period in the URL and on links to the pricing page,
+     * so it carries over from index.html to pricing.html
+     * @param {string} period - "monthly" or "annual"
+     */
+    function updateBillingUrl(period) {
+        var isDefault = period === BILLING_PERIODS[0];
+
+        var url = new URL(window.location.href);
+        if (isDefault) {
+            url.searchParams.delete(BILLING_PARAM);
+        } else {
+            url.searchParams.set(BILLING_PARAM, period);
+        }
+        history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+
+        document.querySelectorAll('a[href*="pricing.html"]').forEach(function(link) {
+            setLinkParam(link, BILLING_PARAM, isDefault ? null : period);
+        });
+    }
+
+    /**
+     * Set or remove a query parameter on a link
+     * @param {HTMLAnchorElement} link - Link to update
+     * @param {string} name - Parameter name
+     * @param {string|null} value - New value, or null to remove it
+     */
+    function setLinkParam(link, name, value) {
+        var linkUrl = new URL(link.getAttribute('href'), window.location.href);
+        if (value === null && !linkUrl.searchParams.has(name)) return;
+        if (value === null) {
+            linkUrl.searchParams.delete(name);
+        } else {
+            linkUrl.searchParams.set(name, value);
+        }
+        link.href = linkUrl.href;
+    }
+
+    /**
+     * Change the billing period and re-render every price
+     * @param {string} period - "monthly" or "annual"
+     */
+    function setBillingPeriod(period) {
+        if (BILLING_PERIODS.indexOf(period) === -1 || period === pricingState.billing) return;
+        pricingState.billing = period;
+        updateBillingUrl(period);
+        renderPrices();
+    }
+
+    /**
+     * Wire all [data-billing] buttons (page switch and seat calculator) once
+     */
+    function setupBillingSwitch() {
+        if (pricingState.billingSwitchReady) return;
+        pricingState.billingSwitchReady = true;
+
+        document.querySelectorAll('[data-billing]').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                setBillingPeriod(btn.getAttribute('data-billing'));
+            });
+        });
+        document.querySelectorAll('[data-billing-switch]').forEach(function(el) {
+            el.hidden = false;
+        });
+
+        if (pricingState.billing !== BILLING_PERIODS[0]) {
+            updateBillingUrl(pricingState.billing);
+        }
+    }
+
+    // ===========================================
+    // COUPONS
+    // ===========================================
+
+    /**
+     * Ask the coupon endpoint about a code
+     * @param {string} code - Coupon code, upper case
+     * @returns {Promise<Object|null>} Endpoint response, or null on error
+     */
+    async function fetchCoupon(code) {
+        var url = new URL(PRICING.coupons.api.replace('{code}', encodeURIComponent(code)), PRICING_CONFIG_URL).href;
+        try {
+            const response = await fetch(url, {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (response.status === 404) {
+                return { status: 'invalid' };
+            }
+            if (!response.ok) {
+                console.warn('[RegionalPricing] Coupon endpoint returned:', response.status);
+                return null;
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.warn('[RegionalPricing] Failed to check coupon:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Check the ?coupon=CODE parameter with the coupon endpoint
+     * @returns {Promise<{ code: string, status: string, coupon: Object|null }|null>}
+     *   status is "valid", "expired" or "invalid"; null when no code is
+     *   given or it could not be checked
+     */
+    async function resolveCoupon() {
+        var code = (new URLSearchParams(window.location.search).get(COUPON_PARAM) || '').trim().toUpperCase();
+        if (!code) return null;
+
+        if (!PRICING.coupons || !PRICING.coupons.api) {
+            console.log('[RegionalPricing] No coupon endpoint configured, ignoring coupon', code);
+            return null;
+        }
+
+        var data = await fetchCoupon(code);
+        if (!data || COUPON_STATUSES.indexOf(data.status) === -1) {
+            return null;
+        }
+        if (data.status !== 'valid') {
+            return { code: code, status: data.status, coupon: null };
+        }
+
+        var value = parseFloat(data.value);
+        if (COUPON_TYPES.indexOf(data.type) === -1 || !(value > 0) || !Array.isArray(data.plans) ||
+            (data.expires !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(data.expires))) {
+            console.warn('[RegionalPricing] Unexpected coupon endpoint response for', code);
+            return null;
+        }
+
+        // The endpoint may be cached past the last day
+        if (data.expires && data.expires < new Date().toISOString().slice(0, 10)) {
+            return { code: code, status: 'expired', coupon: null };
+        }
+
+        return {
+            code: code,
+            status: 'valid',
+            coupon: {
+                type: data.type,
+                value: value,
+                plans: data.plans,
+                expires: data.expires || null,
+                checkout: data.checkout || {}
+            }
+        };
+    }
+
+    /**
+     * Whether a URL goes to a checkout that applies coupons
+     * @param {string} url - Absolute or page-relative URL
+     * @returns {boolean}
+     */
+    function isCouponCheckout(url) {
+        var hosts = (PRICING.coupons && PRICING.coupons.checkoutHosts) || [];
+        try {
+            return hosts.indexOf(new URL(url, window.location.href).hostname) !== -1;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Checkout URL with the code for a plan's "Get" link, or null when the
+     * coupon does not apply to the plan or has no checkout that applies it
+     * @returns {string|null}
+     */
+    function getCouponCheckoutUrl(link, result) {
+        var coupon = result.coupon;
+        var planId = link.getAttribute('data-checkout-link');
+        if (coupon.plans.indexOf(planId) === -1) return null;
+
+        var url = typeof coupon.checkout[planId] === 'string' ? coupon.checkout[planId] : link.getAttribute('href');
+        if (!isCouponCheckout(url)) return null;
+
+        var checkoutUrl = new URL(url, window.location.href);
+        checkoutUrl.searchParams.set(PRICING.coupons.checkoutParam || COUPON_PARAM, result.code);
+        return checkoutUrl.href;
+    }
+
+    /**
+     * Last day of a coupon in the page's language ("30 juin 2026")
+     */
+    function formatCouponExpiry(date) {
+        return new Intl.DateTimeFormat(getPageLocale(), { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+            .format(new Date(date + 'T00:00:00Z'));
+    }
+
+    /**
+     * Show the coupon notice and keep a valid code on the checkout links.
+     *
+     *   [data-coupon-notice]    — message element; its data-applied, data-applied-until
+     *                             ({date}), data-expired and data-invalid attributes
+     *                             hold the {code} templates
+     *   [data-coupon-plan]      — shown only while a valid coupon applies to that plan
+     *   [data-checkout-link]    — "Get PLUS" links; value is the plan id. They go
+     *                             to the coupon's checkout (getCouponCheckoutUrl)
+     *
+     * @param {Object|null} result - Result of resolveCoupon()
+     */
+    function updateCouponUI(result) {
+        var coupon = result && result.coupon;
+
+        document.querySelectorAll('[data-coupon-notice]').forEach(function(el) {
+            var name = result && result.status === 'valid' ? (coupon.expires ? 'applied-until' : 'applied') : result && result.status;
+            var template = name ? el.getAttribute('data-' + name) : null;
+            el.hidden = !template;
+            if (template) {
+                el.textContent = template.replace('{code}', result.code)
+                    .replace('{date}', coupon && coupon.expires ? formatCouponExpiry(coupon.expires) : '');
+                el.classList.toggle('coupon-notice-error', result.status !== 'valid');
+            }
+        });
+
+        document.querySelectorAll('[data-coupon-plan]').forEach(function(el) {
+            el.hidden = !coupon || coupon.plans.indexOf(el.getAttribute('data-coupon-plan')) === -1;
+        });
+
+        document.querySelectorAll('[data-checkout-link]').forEach(function(link) {
+            var checkoutUrl = coupon ? getCouponCheckoutUrl(link, result) : null;
+            if (checkoutUrl) {
+                link.href = checkoutUrl;
+            }
+        });
+
+        // Carry the code over from index.html to pricing.html
+        document.querySelectorAll('a[href*="pricing.html"]').forEach(function(link) {
+            setLinkParam(link, COUPON_PARAM, coupon ? result.code : null);
+        });
+    }
+
+    // ===========================================
+    // TEAM SEAT CALCULATOR
+    // ===========================================
+
+    const calculatorState = {
+        initialized: false,
+        seats: 0
+    };
+
+    /**
+     * Find the volume tier for a seat count
+     * @param {number} seats - Number of seats
+     * @returns {{ minSeats: number, multiplier: number }} Tier (multiplier 1 when none applies)
+     */
+    function getVolumeTier(seats) {
+        var tier = { minSeats: PLANS.team.minSeats, multiplier: 1 };
+        PLANS.team.volumeTiers.forEach(function(candidate) {
+            if (seats >= candidate.minSeats && candidate.minSeats >= tier.minSeats) {
+                tier = candidate;
+            }
+        });
+        return tier;
+    }
+
+    /**
+     * Calculate the Team plan total for a number of seats
+     * @param {number} seats - Number of seats
+     * @param {string} billing - "monthly" or "annual"
+     * @param {number} discountPercent - Regional discount percentage
+     * @param {Object} currency - Currency from resolveCurrency()
+     * @param {Object|null} coupon - Valid coupon from resolveCoupon(), or null
+     * @returns {{ total: number, perSeat: number, volumePercent: number }}
+     *   total for the billing period, effective monthly price per seat,
+     *   and the volume discount applied
+     */
+    function calculateTeamTotal(seats, billing, discountPercent, currency, coupon) {
+        var tier = getVolumeTier(seats);
+        var periodMultiplier = billing === 'annual' ? 12 * PLANS.team.annualDiscount : 1;
+        var perSeatMonthly = applyCoupon(PLANS.team.pricePerUser * (1 - discountPercent / 100) * tier.multiplier, 'team', coupon);
+        var perSeatEffective = billing === 'annual' ? perSeatMonthly * PLANS.team.annualDiscount : perSeatMonthly;
+
+        return {
+            total: convertPrice(perSeatMonthly * periodMultiplier * seats, currency),
+            perSeat: convertPrice(perSeatEffective, currency),
+            volumePercent: Math.round((1 - tier.multiplier) * 100)
+        };
+    }
+
+    /**
+     * Clamp a seat count to the Team plan limits
+     * @param {number} seats - Requested number of seats
+     * @returns {number} Seat count within minSeats..maxSeats
+     */
+    function clampSeats(seats) {
+        if (isNaN(seats)) return PLANS.team.minSeats;
+        return Math.min(PLANS.team.maxSeats, Math.max(PLANS.team.minSeats, Math.round(seats)));
+    }
+
+    /**
+     * Render the seat calculator total and breakdown
+     * @param {HTMLElement} calculator - #seat-calculator element
+     */
+    function renderSeatCalculator(calculator) {
+        var result = calculateTeamTotal(
+            calculatorState.seats,
+            pricingState.billing,
+            pricingState.discountPercent,
+            pricingState.currency,
+            pricingState.coupon
+        );
+        var code = pricingState.currency.code;
+
+        calculator.querySelector('[data-seat-total]').textContent = formatPriceCurrency(result.total, code);
+
+        var breakdown = (calculator.getAttribute('data-per-seat') || '{price}')
+            .replace('{price}', formatPriceCurrency(result.perSeat, code));
+        if (result.volumePercent > 0) {
+            breakdown += ' · ' + (calculator.getAttribute('data-volume-discount') || '-{percent}%')
+                .replace('{percent}', result.volumePercent);
+        }
+        calculator.querySelector('[data-seat-breakdown]').textContent = breakdown;
+    }
+
+    /**
+     * Set up the Team seat calculator (pricing page only).
+     * Safe to call again: later calls only re-render with the current
+     * pricingState. Its billing buttons are wired by setupBillingSwitch().
+     */
+    function setupSeatCalculator() {
+        var calculator = document.getElementById('seat-calculator');
+        if (!calculator) return;
+
+        if (!calculatorState.initialized) {
+            calculatorState.initialized = true;
+            calculatorState.seats = PLANS.team.minSeats;
+
+            var input = calculator.querySelector('.seat-count');
+            input.min = PLANS.team.minSeats;
+            input.max = PLANS.team.maxSeats;
+            input.value = calculatorState.seats;
+
+            input.addEventListener('input', function() {
+                if (input.value === '') return;
+                calculatorState.seats = clampSeats(parseInt(input.value, 10));
+                renderSeatCalculator(calculator);
+            });
+            input.addEventListener('change', function() {
+                input.value = calculatorState.seats;
+            });
+
+            calculator.querySelectorAll('[data-seat-step]').forEach(function(btn) {
+                btn.addEventListener('click', function() {
+                    calculatorState.seats = clampSeats(calculatorState.seats + parseInt(btn.getAttribute('data-seat-step'), 10));
+                    input.value = calculatorState.seats;
+                    renderSeatCalculator(calculator);
+                });
+            });
+
+            calculator.hidden = false;
+        }
+
+        renderSeatCalculator(calculator);
+    }
+
     // ===========================================
     // SCHEMA.ORG UPDATE
     // ===========================================
 
     /**
-     * Update Schema.org structured data with calculated prices
-     * @param {Object} allPrices - Object keyed by plan name, each containing price data
+     * Update Schema.org structured data with the list prices in USD.
+     * Converted currencies, regional discounts and coupons are approximate
+     * or visitor-specific, so crawlers must not index them.
+     * @param {Object} allPrices - Object keyed by plan name, each containing USD list prices
+     * @param {string} period - Billing period shown on screen ("monthly" or "annual")
      */
-    function updateSchemaOrg(allPrices) {
+    function updateSchemaOrg(allPrices, period) {
+        // Offers are matched by their stable @id from pricing.json
+        var offerConfigs = {};
+        PRICING.offers.forEach(function(offerConfig) {
+            offerConfigs[offerConfig.id] = offerConfig;
+        });
+
         var schemaScripts = document.querySelectorAll('script[type="application/ld+json"]');
         schemaScripts.forEach(function(script) {
             try {
@@ -192,24 +1078,24 @@
 
                 var modified = false;
                 offers.forEach(function(offer) {
-                    if (!offer.name) return;
-
-                    // Match PLUS offers
-                    if (allPrices.plus) {
-                        if (offer.name === 'PLUS Monthly') {
-                            offer.price = allPrices.plus.monthly.integer.toString();
-                            modified = true;
-                        } else if (offer.name === 'PLUS Yearly') {
-                            offer.price = allPrices.plus.annual.integer.toString();
-                            modified = true;
-                        }
-                    }
+                    var offerConfig = offerConfigs[offer['@id']];
+                    if (!offerConfig || !allPrices[offerConfig.plan]) return;
 
-                    // Match Team offers
-                    if (allPrices.team && offer.name === 'Team Monthly') {
-                        offer.price = allPrices.team.perUser.integer.toString();
-                        modified = true;
-                    }
+                    var price = allPrices[offerConfig.plan][offerConfig.price];
+                    if (price === undefined) return;
+
+                    // Offers without a fixed billingDuration follow the period on screen
+                    var duration = offerConfig.billingDuration || (period === 'annual' ? 'P1Y' : 'P1M');
+
+                    offer.price = price.toString();
+                    offer.priceCurrency = BASE_CURRENCY;
+                    offer.priceSpecification = {
+                        '@type': 'UnitPriceSpecification',
+                        price: price.toString(),
+                        priceCurrency: BASE_CURRENCY,
+                        billingDuration: duration
+                    };
+                    modified = true;
                 });
 
                 if (modified) {
@@ -263,7 +1149,7 @@
     // PRICE VISIBILITY CONTROL
     // ===========================================
 
-    const PRICE_SELECTORS = '[data-plan][data-price]';
+    const PRICE_SELECTORS = '[data-plan][data-price], [data-currency]';
 
     /**
      * Hide price elements initially to prevent flash
@@ -301,27 +1187,39 @@
         // Hide prices immediately to prevent flash
         hidePrices();
 
-        // Check cache first
-        var data = getCachedDiscountData();
+        var provider = getDiscountProvider();
+        console.log('[RegionalPricing] Using discount provider:', provider.name);
 
-        if (!data) {
-            data = await fetchParityDealsDiscount();
-            if (data) {
-                cacheDiscountData(data);
-            }
+        var results = await Promise.all([
+            readInlinePricingConfig() || fetchPricingConfig(),
+            provider.getDiscount()
+        ]);
+        var data = results[1];
+
+        PRICING = results[0];
+        if (!PRICING) {
+            // Only on pages that were not built, when the fetch failed too.
+            // Built pages carry the config and the default prices.
+            console.log('[RegionalPricing] No pricing config available, using default prices');
+            showPrices();
+            return;
         }
+        PLANS = PRICING.plans;
+
+        var couponResult = await resolveCoupon();
 
         if (!data) {
             console.log('[RegionalPricing] No discount data available, using default prices');
-            showPrices();
+            applyPrices(0, resolveCurrency(null), couponResult);
             return;
         }
 
         // Log API response for debugging
-        console.log('[RegionalPricing] API response:', {
+        console.log('[RegionalPricing] Discount data:', {
             country: data.country,
             countryCode: data.countryCode,
             discountPercentage: data.discountPercentage,
+            currencyCode: data.currencyCode,
             isVpn: data.isVpn,
             isProxy: data.isProxy,
             isTor: data.isTor
@@ -342,23 +1240,71 @@
             }
         }
 
-        // Calculate and update all plan prices
-        var allPrices = {};
+        var currency = resolveCurrency(data);
+        if (currency.code !== BASE_CURRENCY) {
+            console.log('[RegionalPricing] Showing prices in', currency.code);
+        }
 
-        var plusPrices = calculatePlusPrices(discountPercent);
-        allPrices.plus = plusPrices;
-        updatePlanPrices('plus', plusPrices);
+        applyPrices(discountPercent, currency, couponResult);
+    }
 
-        var teamPrices = calculateTeamPrices(discountPercent);
-        allPrices.team = teamPrices;
-        updatePlanPrices('team', teamPrices);
+    /**
+     * Store the discount, currency and coupon, then render every price
+     * @param {number} discountPercent - Regional discount percentage
+     * @param {Object} currency - Currency from resolveCurrency()
+     * @param {Object|null} couponResult - Result of resolveCoupon()
+     */
+    function applyPrices(discountPercent, currency, couponResult) {
+        pricingState.discountPercent = discountPercent;
+        pricingState.currency = currency;
 
-        // Update Schema.org structured data
-        updateSchemaOrg(allPrices);
+        pricingState.coupon = couponResult ? couponResult.coupon : null;
+        if (couponResult) {
+            console.log('[RegionalPricing] Coupon', couponResult.code + ':', couponResult.status);
+        }
+        updateCouponUI(couponResult);
 
+        setupBillingSwitch();
+        renderPrices();
         showPrices();
     }
 
+    /**
+     * Calculate all plan prices for the current pricingState and update
+     * the DOM and Schema.org data
+     */
+    function renderPrices() {
+        var discountPercent = pricingState.discountPercent;
+        var currency = pricingState.currency;
+        var coupon = pricingState.coupon;
+        var period = pricingState.billing;
+
+        var plusPrices = addPeriodPrices('plus', calculatePlusPrices(discountPercent, currency, coupon), period);
+        updatePlanPrices('plus', plusPrices, currency);
+
+        var teamPrices = addPeriodPrices('team', calculateTeamPrices(discountPercent, currency, coupon), period);
+        updatePlanPrices('team', teamPrices, currency);
+
+        // Prices before the coupon, shown struck through
+        if (coupon) {
+            updatePlanPrices('plus', addPeriodPrices('plus', calculatePlusPrices(discountPercent, currency, null), period), currency, true);
+            updatePlanPrices('team', addPeriodPrices('team', calculateTeamPrices(discountPercent, currency, null), period), currency, true);
+        }
+
+        updateCurrencySymbols(currency);
+        updateBillingVisibility(period);
+        setupSeatCalculator();
+
+        // Schema.org offers follow the billing period, at the USD list price.
+        // Free has no price on screen, only its JSON-LD offer.
+        var listCurrency = resolveCurrency(null);
+        updateSchemaOrg({
+            free: addPeriodPrices('free', { monthly: PLANS.free.monthlyPrice }, period),
+            plus: addPeriodPrices('plus', calculatePlusPrices(0, listCurrency, null), period),
+            team: addPeriodPrices('team', calculateTeamPrices(0, listCurrency, null), period)
+        }, period);
+    }
+
     // Run when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
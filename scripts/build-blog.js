@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+/**
+ * Post-build script: renders the blog from the Markdown posts in
+ * content/blog/.
+ *
+ * A post is a folder named after its slug with one Markdown file per
+ * language: content/blog/<slug>/en.md is required, other languages fall
+ * back to it (with a warning) until their file exists. Front matter:
+ *   ---
+ *   date: 2026-03-21              # YYYY-MM-DD, required
+ *   updated: 2026-04-02           # optional, defaults to date
+ *   author: OdooIntegrations Team # optional, defaults to AUTHOR
+ *   tags: [Odoo, API key]
+ *   image: assets/og-image.png    # social and JSON-LD image
+ *   numbered: true                # number the ## sections
+ *   title: ...                    # any of FIELDS, see below
+ *   keys:
+ *     title: blogApiKeySetup.title
+ *   ---
+ * The FIELDS texts are set in the front matter of each language or, under
+ * "keys", as locale keys translated from locales/<lang>.json. A language's
+ * own text wins over a key, a key over the English text.
+ *
+ * Besides CommonMark and GitHub tables, the Markdown may use:
+ *   - a first paragraph, which becomes the intro
+ *   - headings, which get an id from their text ("## Odoo 16-17" is
+ *     #odoo-16-17) so search results can link to them
+ *   - an image alone in its paragraph, which becomes a figure opening in
+ *     the lightbox, captioned with its title or alt text
+ *   - > [!TIP] and > [!WARNING] alerts
+ *
+ * For every language built by build:i18n it writes:
+ *   - blog/<slug>.html for each post, from the page that static-i18n built
+ *     from src/blog/_layout.html (removed afterwards): {{field}}
+ *     placeholders and <!-- post:... --> markers are filled, including
+ *     Article and BreadcrumbList JSON-LD, and <!-- layout: ... --> notes
+ *     are removed
+ *   - the post cards of blog.html, newest first with their reading time,
+ *     between the <!-- posts --> and <!-- /posts --> markers
+ *   - an RSS feed next to blog.html (blog.xml), linked from the pages'
+ *     <link rel="alternate" type="application/rss+xml">
+ *
+ * A missing locale key or an invalid post fails the build.
+ *
+ * Usage: node scripts/build-blog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Marked } = require('marked');
+const site = require('./lib/site');
+const { CONTENT_DIR, LAYOUT, getPosts } = require('./lib/posts');
+const { loadLocale, translate, escapeHtml, formatDate } = require('./lib/i18n');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const INDEX = 'blog.html';
+const FEED = 'blog.xml';
+const AUTHOR = 'OdooIntegrations Team';
+const PUBLISHER = 'OdooIntegrations';
+const DEFAULT_IMAGE = 'assets/og-image.png';
+const WORDS_PER_MINUTE = 200;
+
+// Translated texts of a post: required, or what they default to
+const FIELDS = {
+    title: { required: true },
+    description: { required: true },
+    // Article JSON-LD headline
+    headline: { fallback: 'title' },
+    excerpt: { fallback: 'description' },
+    metaTitle: { fallback: 'title' },
+    ogTitle: { fallback: 'title' },
+    ogDescription: { fallback: 'description' },
+    twitterTitle: { fallback: 'ogTitle' },
+    twitterDescription: { fallback: 'ogDescription' },
+    ctaTitle: { key: 'blog.cta.title' },
+    ctaSubtitle: { key: 'blog.cta.subtitle' },
+    ctaButton: { key: 'blog.cta.button' }
+};
+
+// Elements whose content indentHtml() indents one level deeper
+const NESTING_TAGS = 'blockquote|div|figure|h[1-6]|li|ol|table|tbody|thead|tr|ul';
+const NESTING_OPEN = new RegExp('<(?:' + NESTING_TAGS + ')(?=[\\s>])', 'gi');
+const NESTING_CLOSE = new RegExp('</(?:' + NESTING_TAGS + ')>', 'gi');
+// One of them opened mid-line ("<tbody><tr>", "<li>Item<ul>")
+const NESTING_MID_LINE = new RegExp('(\\S)(?=<(?:' + NESTING_TAGS + ')[\\s>])', 'gi');
+
+// Front matter that only the default language sets
+const SHARED = ['date', 'updated', 'author', 'image', 'numbered', 'keys'];
+
+// > [!TYPE] alerts, with the paragraph text as HTML
+const ALERTS = {
+    TIP: function(html) {
+        return '<p class="tip-box">' + html + '</p>\n';
+    },
+    WARNING: function(html) {
+        return '<div class="warning-box">\n' +
+            '<span class="material-symbols-outlined">warning</span>\n' +
+            '<span>' + html + '</span>\n' +
+            '</div>\n';
+    }
+};
+
+/**
+ * Heading id ("odoo-16-17"), numbered when already taken ("odoo-16-17-2")
+ */
+function getAnchor(text, used) {
+    var base = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'section';
+    used[base] = (used[base] || 0) + 1;
+    return used[base] > 1 ? base + '-' + used[base] : base;
+}
+
+/**
+ * Absolute URL of a site path; pages in any folder and language share
+ * the assets at the site root
+ */
+function getAssetUrl(src, config) {
+    return /^[a-z]+:|^\/\//i.test(src) ? src : config.siteUrl + src.replace(/^\//, '');
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Problems in the posts, as messages
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function validate(posts, i18n) {
+    var errors = [];
+    var warnings = [];
+    var allowed = Object.keys(FIELDS).concat(SHARED, 'tags');
+
+    posts.forEach(function(post) {
+        var main = post.sources[i18n.defaultLang];
+        var label = 'content/blog/' + post.slug;
+
+        if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(post.slug)) {
+            errors.push(label + ': folder name must be a lowercase slug (words-with-dashes)');
+        }
+        if (!main) {
+            errors.push(label + ': no ' + i18n.defaultLang + '.md');
+            return;
+        }
+
+        Object.keys(post.sources).forEach(function(lang) {
+            var source = post.sources[lang];
+            var file = label + '/' + lang + '.md';
+
+            if (i18n.languages.indexOf(lang) === -1) {
+                warnings.push(file + ': "' + lang + '" is not built by build:i18n, ignored');
+            }
+            Object.keys(source.data).forEach(function(name) {
+                if (allowed.indexOf(name) === -1) {
+                    errors.push(file + ': unknown front matter "' + name + '" (one of ' + allowed.join(', ') + ')');
+                } else if (lang !== i18n.defaultLang && SHARED.indexOf(name) !== -1) {
+                    warnings.push(file + ': "' + name + '" is only read from ' + i18n.defaultLang + '.md');
+                }
+            });
+            if (source.data.tags !== undefined && (!Array.isArray(source.data.tags) ||
+                    !source.data.tags.every(function(tag) { return typeof tag === 'string'; }))) {
+                errors.push(file + ': "tags" must be a list of words');
+            }
+            if (!source.body.trim()) {
+                errors.push(file + ': no content');
+            }
+        });
+
+        var data = main.data;
+        if (!isDate(data.date)) {
+            errors.push(label + ': "date" must be YYYY-MM-DD');
+        }
+        if (data.updated !== undefined && (!isDate(data.updated) || data.updated < data.date)) {
+            errors.push(label + ': "updated" must be YYYY-MM-DD, not before "date"');
+        }
+        Object.keys(data.keys || {}).forEach(function(name) {
+            if (!FIELDS[name]) {
+                errors.push(label + ': unknown field "' + name + '" in "keys" (one of ' + Object.keys(FIELDS).join(', ') + ')');
+            }
+        });
+
+        var missing = i18n.languages.filter(function(lang) {
+            return !post.sources[lang];
+        });
+        if (missing.length > 0) {
+            warnings.push(label + ': no ' + missing.join('.md, ') + '.md, those pages show the ' + i18n.defaultLang + ' text');
+        }
+    });
+
+    return { errors: errors, warnings: warnings };
+}
+
+// ===========================================
+// MARKDOWN
+// ===========================================
+
+/**
+ * Markdown body to the HTML of .article-content
+ * @throws {Error} On an unknown or malformed alert
+ */
+function renderMarkdown(body, options, config) {
+    var sectionNumber = 0;
+    var anchors = {};
+    var marked = new Marked({ gfm: true });
+
+    marked.use({
+        renderer: {
+            heading: function(token) {
+                var text = this.parser.parseInline(token.tokens);
+                var id = getAnchor(this.parser.parseInline(token.tokens, this.parser.textRenderer), anchors);
+                if (token.depth !== 2 || !options.numbered) {
+                    return '<h' + token.depth + ' id="' + escapeHtml(id) + '">' + text + '</h' + token.depth + '>\n';
+                }
+                sectionNumber++;
+                return '<h2 id="' + escapeHtml(id) + '">\n' +
+                    '<span class="section-number">' + sectionNumber + '</span>\n' +
+                    '<span>' + text + '</span>\n' +
+                    '</h2>\n';
+            },
+            paragraph: function(token) {
+                var parts = token.tokens.filter(function(part) {
+                    return part.type !== 'text' || part.text.trim() !== '';
+                });
+                if (parts.length === 1 && parts[0].type === 'image') {
+                    var image = parts[0];
+                    return '<figure class="article-figure">\n' +
+                        '<img src="' + escapeHtml(getAssetUrl(image.href, config)) + '" alt="' + escapeHtml(image.text) + '" class="lightbox-img" loading="lazy">\n' +
+                        '<figcaption>' + escapeHtml(image.title || image.text) + '</figcaption>\n' +
+                        '</figure>\n';
+                }
+                var attributes = token.intro ? ' class="article-intro"' : '';
+                return '<p' + attributes + '>' + this.parser.parseInline(token.tokens) + '</p>\n';
+            },
+            image: function(token) {
+                return '<img src="' + escapeHtml(getAssetUrl(token.href, config)) + '" alt="' + escapeHtml(token.text) + '" loading="lazy">';
+            },
+            blockquote: function(token) {
+                var html = this.parser.parse(token.tokens);
+                var alert = /^<p>\[!(\w+)\][ \t]*\n?/.exec(html);
+                if (!alert) return '<blockquote>\n' + html + '</blockquote>\n';
+
+                var type = alert[1].toUpperCase();
+                if (!ALERTS[type]) {
+                    throw new Error('unknown alert [!' + alert[1] + '] (one of ' + Object.keys(ALERTS).join(', ') + ')');
+                }
+                var paragraphs = ('<p>' + html.slice(alert[0].length)).trim().split(/\s*\n(?=<)/);
+                if (!paragraphs.every(function(part) { return /^<p>[\s\S]*<\/p>$/.test(part); })) {
+                    throw new Error('[!' + alert[1] + '] alerts may only hold paragraphs');
+                }
+                return ALERTS[type](paragraphs.map(function(part) {
+                    return part.slice(3, -4).trim();
+                }).filter(Boolean).join('<br>\n'));
+            }
+        }
+    });
+
+    var tokens = marked.lexer(body);
+    var first = tokens.filter(function(token) { return token.type !== 'space'; })[0];
+    if (first && first.type === 'paragraph') first.intro = true;
+
+    // Wide tables scroll instead of widening the page
+    return marked.parser(tokens)
+        .replace(/<table>/g, '<div class="table-scroll">\n<table>')
+        .replace(/<\/table>\n?/g, '</table>\n</div>\n');
+}
+
+/**
+ * Minutes to read a post, rounded up
+ */
+function getReadingTime(html) {
+    var words = html.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(Boolean).length;
+    return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+}
+
+// ===========================================
+// ENTRIES
+// ===========================================
+
+/**
+ * Everything a post shows in one language
+ * @throws {Error} When a required text or locale key is missing
+ */
+function getEntry(post, lang, locale, config, i18n) {
+    var main = post.sources[i18n.defaultLang];
+    var source = post.sources[lang] || main;
+    var keys = main.data.keys || {};
+    var fields = {};
+
+    var resolve = function(name) {
+        if (name in fields) return fields[name];
+        var spec = FIELDS[name];
+        var value = source.data[name];
+
+        if (value === undefined && keys[name]) value = translate(locale, keys[name]);
+        if (value === undefined) value = main.data[name];
+        if (value === undefined && spec.fallback) value = resolve(spec.fallback);
+        if (value === undefined && spec.key) value = translate(locale, spec.key);
+        if (value === undefined) {
+            throw new Error(post.slug + ': no "' + name + '" (set it in the front matter or under "keys")');
+        }
+        return (fields[name] = String(value));
+    };
+    Object.keys(FIELDS).forEach(resolve);
+
+    var content;
+    try {
+        content = renderMarkdown(source.body, { numbered: main.data.numbered === true }, config);
+    } catch (err) {
+        throw new Error(path.relative(ROOT_DIR, source.file) + ': ' + err.message);
+    }
+
+    return {
+        post: post,
+        fields: fields,
+        content: content,
+        date: main.data.date,
+        updated: main.data.updated || main.data.date,
+        author: main.data.author || AUTHOR,
+        tags: source.data.tags || main.data.tags || [],
+        image: getAssetUrl(main.data.image || DEFAULT_IMAGE, config),
+        readingTime: getReadingTime(content),
+        url: site.getPageUrl(post.page, lang, config, i18n.defaultLang)
+    };
+}
+
+// ===========================================
+// HTML
+// ===========================================
+
+/**
+ * Indent every line but the first by indent, plus four spaces per level of
+ * the block elements it is nested in (<li> in <ul>, nested lists, table
+ * rows...), leaving the content of <pre> blocks alone
+ */
+function indentHtml(html, indent) {
+    var blocks = [];
+    var depth = 0;
+
+    // A <pre> block stands on one line while the rest is indented
+    var lines = html.trim().replace(/<pre[\s\S]*?<\/pre>/g, function(block) {
+        blocks.push(block);
+        return '\u0000' + (blocks.length - 1) + '\u0000';
+    }).replace(NESTING_MID_LINE, '$1\n').split('\n');
+
+    return lines.map(function(line, index) {
+        line = line.trim();
+        var opens = (line.match(NESTING_OPEN) || []).length;
+        var closes = (line.match(NESTING_CLOSE) || []).length;
+        var leading = /^(?:<\/[a-z][a-z0-9]*>)+/i.exec(line);
+        var leadingCloses = leading ? (leading[0].match(NESTING_CLOSE) || []).length : 0;
+
+        depth -= leadingCloses;
+        var prefix = index === 0 || line === '' ? '' : indent + '    '.repeat(Math.max(depth, 0));
+        depth += opens - (closes - leadingCloses);
+
+        return prefix + line.replace(/\u0000(\d+)\u0000/g, function(match, block) {
+            return blocks[block];
+        });
+    }).join('\n');
+}
+
+/**
+ * Replace a <!-- post:name --> marker with HTML at its indentation
+ * @throws {Error} When the layout has no such marker
+ */
+function fillMarker(html, name, content) {
+    var marker = new RegExp('([ \\t]*)<!--\\s*post:' + name + '\\s*-->');
+    var match = marker.exec(html);
+    if (!match) {
+        throw new Error(LAYOUT + ' has no <!-- post:' + name + ' --> marker');
+    }
+    return html.replace(marker, function() {
+        return content ? match[1] + indentHtml(content, match[1]) : '';
+    });
+}
+
+function setFeedLink(html, feedUrl) {
+    return html.replace(/(<link\s+rel="alternate"\s+type="application\/rss\+xml"[^>]*\bhref=")[^"]*(")/i, function(match, start, end) {
+        return start + feedUrl + end;
+    });
+}
+
+function renderSchema(entry, locale, lang, config, i18n) {
+    var article = {
+        '@type': 'Article',
+        'headline': entry.fields.headline,
+        'description': entry.fields.description,
+        'image': entry.image,
+        'inLanguage': lang,
+        'datePublished': entry.date + 'T00:00:00+00:00',
+        'dateModified': entry.updated + 'T00:00:00+00:00',
+        'author': entry.author === AUTHOR
+            ? { '@type': 'Organization', 'name': AUTHOR, 'url': config.siteUrl }
+            : { '@type': 'Person', 'name': entry.author },
+        'publisher': {
+            '@type': 'Organization',
+            'name': PUBLISHER,
+            'url': config.siteUrl,
+            'logo': {
+                '@type': 'ImageObject',
+                'url': config.siteUrl + 'favicon.png'
+            }
+        },
+        'mainEntityOfPage': {
+            '@type': 'WebPage',
+            '@id': entry.url
+        }
+    };
+    if (entry.tags.length > 0) article.keywords = entry.tags.join(', ');
+
+    var crumbs = [
+        [translate(locale, 'footer.home'), site.getPageUrl('index.html', lang, config, i18n.defaultLang)],
+        [translate(locale, 'nav.blog'), site.getPageUrl(INDEX, lang, config, i18n.defaultLang)],
+        [entry.fields.title, entry.url]
+    ];
+
+    var schema = {
+        '@context': 'https://schema.org',
+        '@graph': [article, {
+            '@type': 'BreadcrumbList',
+            'itemListElement': crumbs.map(function(crumb, index) {
+                return { '@type': 'ListItem', 'position': index + 1, 'name': crumb[0], 'item': crumb[1] };
+            })
+        }]
+    };
+
+    // "</" would end the script element early
+    return '<script type="application/ld+json">\n' +
+        JSON.stringify(schema, null, 4).replace(/<\//g, '<\\/') + '\n' +
+        '</script>';
+}
+
+function renderTags(tags) {
+    if (tags.length === 0) return '';
+    return '<ul class="article-tags">\n' + tags.map(function(tag) {
+        return '    <li>' + escapeHtml(tag) + '</li>';
+    }).join('\n') + '\n</ul>';
+}
+
+/**
+ * A post page from the language's layout
+ * @throws {Error} On an unknown placeholder or a missing marker
+ */
+function renderPost(layout, entry, locale, lang, config, i18n, feedUrl) {
+    var values = Object.assign({}, entry.fields, {
+        url: entry.url,
+        image: entry.image,
+        author: entry.author,
+        date: entry.date,
+        updated: entry.updated,
+        dateLabel: formatDate(entry.date, lang),
+        readingTime: translate(locale, 'blog.readingTime').replace('{minutes}', entry.readingTime)
+    });
+
+    var html = layout.replace(/\{\{(\w+)\}\}/g, function(match, name) {
+        if (!(name in values)) {
+            throw new Error(LAYOUT + ' has an unknown placeholder ' + match + ' (one of ' + Object.keys(values).join(', ') + ')');
+        }
+        return escapeHtml(values[name]);
+    });
+
+    // Notes for whoever edits the layout, not for the built pages
+    html = html.replace(/[ \t]*<!--\s*layout:[\s\S]*?-->\n?/g, '');
+
+    html = fillMarker(html, 'schema', renderSchema(entry, locale, lang, config, i18n));
+    html = fillMarker(html, 'tags', renderTags(entry.tags));
+    html = fillMarker(html, 'content', entry.content);
+    return setFeedLink(html, feedUrl);
+}
+
+function renderCard(entry, locale, lang, indent) {
+    var link = escapeHtml(entry.post.page);
+    return [
+        indent + '<article class="blog-card">',
+        indent + '    <div class="blog-card-content">',
+        indent + '        <div class="blog-card-meta">',
+        indent + '            <time class="blog-card-date" datetime="' + entry.date + '">' + formatDate(entry.date, lang) + '</time>',
+        indent + '            <span class="blog-card-reading-time">' + escapeHtml(translate(locale, 'blog.readingTime').replace('{minutes}', entry.readingTime)) + '</span>',
+        indent + '        </div>',
+        indent + '        <h2 class="blog-card-title">' + escapeHtml(entry.fields.title) + '</h2>',
+        indent + '        <p class="blog-card-excerpt">' + escapeHtml(entry.fields.excerpt) + '</p>',
+        indent + '        <a href="' + link + '" class="blog-card-link">',
+        indent + '            <span>' + escapeHtml(translate(locale, 'blog.readMore')) + '</span>',
+        indent + '            <span class="material-symbols-outlined">arrow_forward</span>',
+        indent + '        </a>',
+        indent + '    </div>',
+        indent + '</article>'
+    ].join('\n');
+}
+
+/**
+ * Put the post cards between the markers of blog.html
+ * @throws {Error} When the page has no markers
+ */
+function fillIndex(html, entries, locale, lang, feedUrl) {
+    var markers = /([ \t]*)(<!--\s*posts\b[^>]*-->)[\s\S]*?([ \t]*<!--\s*\/posts\s*-->)/.exec(html);
+    if (!markers) {
+        throw new Error('no <!-- posts --> ... <!-- /posts --> markers');
+    }
+
+    var indent = markers[1];
+    var cards = entries.map(function(entry) {
+        return renderCard(entry, locale, lang, indent);
+    }).join('\n');
+
+    html = html.replace(markers[0], function() {
+        return indent + markers[2] + '\n' + cards + '\n' + markers[3];
+    });
+    return setFeedLink(html, feedUrl);
+}
+
+// ===========================================
+// FEED
+// ===========================================
+
+function toRfc822(date) {
+    return new Date(date + 'T00:00:00Z').toUTCString();
+}
+
+function renderFeed(entries, locale, lang, pageUrl, feedUrl) {
+    var lastDate = entries.map(function(entry) { return entry.updated; }).sort().pop();
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '  <channel>',
+        '    <title>' + escapeHtml(translate(locale, 'meta.blog.title')) + '</title>',
+        '    <link>' + escapeHtml(pageUrl) + '</link>',
+        '    <description>' + escapeHtml(translate(locale, 'blog.subtitle')) + '</description>',
+        '    <language>' + lang + '</language>',
+        '    <atom:link href="' + escapeHtml(feedUrl) + '" rel="self" type="application/rss+xml" />'
+    ];
+    if (lastDate) lines.push('    <lastBuildDate>' + toRfc822(lastDate) + '</lastBuildDate>');
+
+    entries.forEach(function(entry) {
+        lines.push('    <item>');
+        lines.push('      <title>' + escapeHtml(entry.fields.title) + '</title>');
+        lines.push('      <link>' + escapeHtml(entry.url) + '</link>');
+        lines.push('      <guid isPermaLink="true">' + escapeHtml(entry.url) + '</guid>');
+        lines.push('      <pubDate>' + toRfc822(entry.date) + '</pubDate>');
+        lines.push('      <dc:creator>' + escapeHtml(entry.author) + '</dc:creator>');
+        entry.tags.forEach(function(tag) {
+            lines.push('      <category>' + escapeHtml(tag) + '</category>');
+        });
+        lines.push('      <description>' + escapeHtml(entry.fields.excerpt) + '</description>');
+        lines.push('    </item>');
+    });
+
+    lines.push('  </channel>');
+    lines.push('</rss>');
+    return lines.join('\n') + '\n';
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+function main() {
+    var config = JSON.parse(fs.readFileSync(site.CONFIG_PATH, 'utf-8'));
+    var i18n = site.getLanguages();
+    var posts;
+
+    try {
+        posts = getPosts();
+    } catch (err) {
+        console.error('  Error: ' + err.message);
+        process.exit(1);
+    }
+
+    var problems = validate(posts, i18n);
+    problems.warnings.forEach(function(message) {
+        console.warn('  Warning: ' + message);
+    });
+    if (problems.errors.length > 0) {
+        problems.errors.forEach(function(message) {
+            console.error('  Error: ' + message);
+        });
+        console.error('build-blog: ' + problems.errors.length + ' error(s) in ' + path.relative(ROOT_DIR, CONTENT_DIR));
+        process.exit(1);
+    }
+
+    var built = 0;
+    i18n.languages.forEach(function(lang) {
+        var dir = lang === i18n.defaultLang ? DIST_DIR : path.join(DIST_DIR, lang);
+        var layoutPath = path.join(dir, LAYOUT);
+        var indexPath = path.join(dir, INDEX);
+        if (!fs.existsSync(layoutPath) || !fs.existsSync(indexPath)) {
+            console.warn('  Warning: ' + path.relative(DIST_DIR, fs.existsSync(layoutPath) ? indexPath : layoutPath) + ' not found');
+            return;
+        }
+
+        var feedUrl = site.getPageUrl(FEED, lang, config, i18n.defaultLang);
+        try {
+            var locale = loadLocale(lang);
+            var layout = fs.readFileSync(layoutPath, 'utf-8');
+            var entries = posts.map(function(post) {
+                return getEntry(post, lang, locale, config, i18n);
+            });
+
+            entries.forEach(function(entry) {
+                var html = renderPost(layout, entry, locale, lang, config, i18n, feedUrl);
+                fs.writeFileSync(path.join(dir, entry.post.page), html, 'utf-8');
+            });
+
+            var index = fillIndex(fs.readFileSync(indexPath, 'utf-8'), entries, locale, lang, feedUrl);
+            var pageUrl = site.getPageUrl(INDEX, lang, config, i18n.defaultLang);
+            fs.writeFileSync(indexPath, index, 'utf-8');
+            fs.writeFileSync(path.join(dir, FEED), renderFeed(entries, locale, lang, pageUrl, feedUrl), 'utf-8');
+            fs.unlinkSync(layoutPath);
+            built++;
+        } catch (err) {
+            console.error('  Error: ' + lang + ': ' + err.message);
+            process.exit(1);
+        }
+    });
+
+    console.log('build-blog: ' + posts.length + ' post(s) in ' + built + ' language(s)');
+}
+
+main();
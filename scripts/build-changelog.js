@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * Post-build script: renders the changelog from assets/data/changelog.json.
+ *
+ * For every language built by build:i18n it writes:
+ *   - the release list of changelog.html, between the
+ *     <!-- releases --> and <!-- /releases --> markers, with dates
+ *     formatted for the language and a permalink (#v0.4.0.9) per release;
+ *     changelog.js adds the filters, search and copy-link buttons
+ *   - an Atom feed next to the page (changelog.xml), linked from the page's
+ *     <link rel="alternate" type="application/atom+xml">
+ * and once, for the "What's new" badge (whats-new.js):
+ *   - assets/data/latest-release.json: version and date of the newest release
+ *
+ * changelog.json lists releases newest first. Texts are locale keys:
+ *   { "version": "0.4.0.9", "date": "2026-04-16", "icon": "rocket_launch",
+ *     "sections": [{ "type": "improvements", "icon": "thumb_up", "items": [
+ *       { "title": "<key>", "description": "<key>", "plus": true, "items": [...] },
+ *       { "text": "<key>" } ] }],
+ *     "notice": { "title": "<key>", "description": "<key>" } }
+ * "icon" (Material Symbols name) and "notice" are optional; section types
+ * are listed in SECTIONS, with the icon a section gets by default.
+ *
+ * A missing locale key or an invalid release fails the build.
+ *
+ * Usage: node scripts/build-changelog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+const { loadLocale, translate, escapeHtml, formatDate } = require('./lib/i18n');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const CHANGELOG_PATH = path.join(ROOT_DIR, 'assets', 'data', 'changelog.json');
+const LATEST_PATH = path.join('assets', 'data', 'latest-release.json');
+const PAGE = 'changelog.html';
+const FEED = 'changelog.xml';
+const AUTHOR = 'OdooIntegrations Team';
+
+// Default heading icon of each section type; the heading is
+// changelogPage.sections.<type>
+const SECTIONS = {
+    newFeatures: 'star',
+    improvements: 'auto_awesome',
+    bugFixes: 'build',
+    technical: 'code',
+    dependencies: 'update',
+    initialRelease: 'celebration',
+    plusFeatures: 'workspace_premium'
+};
+
+const DEFAULT_ICON = 'new_releases';
+
+// Material Symbols ligature names ("bug_report")
+const ICON_NAME = /^[a-z0-9_]+$/;
+
+function getAnchor(release) {
+    return 'v' + release.version;
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+/**
+ * Problems in the changelog data, as messages
+ */
+function validate(releases) {
+    var errors = [];
+    var versions = {};
+
+    releases.forEach(function(release, index) {
+        var label = release.version ? 'release ' + release.version : 'release #' + (index + 1);
+
+        if (!/^\d+(\.\d+)*$/.test(release.version || '')) {
+            errors.push(label + ': "version" must look like 1.2.3.4');
+        } else if (versions[release.version]) {
+            errors.push(label + ': duplicate version');
+        }
+        versions[release.version] = true;
+
+        if (release.icon !== undefined && !ICON_NAME.test(release.icon)) {
+            errors.push(label + ': "icon" must be a Material Symbols name');
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(release.date || '') || isNaN(new Date(release.date).getTime())) {
+            errors.push(label + ': "date" must be YYYY-MM-DD');
+        } else if (index > 0 && release.date > releases[index - 1].date) {
+            errors.push(label + ': newer than the release above it (releases are listed newest first)');
+        }
+
+        if (!Array.isArray(release.sections) || release.sections.length === 0) {
+            errors.push(label + ': no sections');
+            return;
+        }
+        release.sections.forEach(function(section) {
+            if (!SECTIONS[section.type]) {
+                errors.push(label + ': unknown section type "' + section.type + '" (one of ' + Object.keys(SECTIONS).join(', ') + ')');
+            }
+            if (section.icon !== undefined && !ICON_NAME.test(section.icon)) {
+                errors.push(label + ': section "' + section.type + '": "icon" must be a Material Symbols name');
+            }
+            if (!Array.isArray(section.items) || section.items.length === 0) {
+                errors.push(label + ': section "' + section.type + '" has no items');
+            }
+        });
+    });
+
+    return errors;
+}
+
+// ===========================================
+// HTML
+// ===========================================
+
+function renderItem(item, locale, indent) {
+    var html = item.title
+        ? '<strong>' + escapeHtml(translate(locale, item.title)) + '</strong>'
+        : escapeHtml(translate(locale, item.text));
+
+    if (item.plus) html += '<span class="badge-new">PLUS</span>';
+    if (item.description) html += ' - ' + escapeHtml(translate(locale, item.description));
+    if (!item.items) return indent + '<li>' + html + '</li>';
+
+    return [
+        indent + '<li>' + html,
+        indent + '    <ul>'
+    ].concat(item.items.map(function(child) {
+        return renderItem(child, locale, indent + '        ');
+    }), [
+        indent + '    </ul>',
+        indent + '</li>'
+    ]).join('\n');
+}
+
+/**
+ * Sections and notice of a release. On the page each section is wrapped
+ * in a [data-section] element for the filters of changelog.js; feeds get
+ * plain headings without the icons, which need the page's icon font.
+ */
+function renderContent(release, locale, indent, forPage) {
+    var lines = [];
+
+    release.sections.forEach(function(section) {
+        var heading = escapeHtml(translate(locale, 'changelogPage.sections.' + section.type));
+        var sectionIndent = forPage ? indent + '    ' : indent;
+
+        if (forPage) {
+            lines.push(indent + '<div class="release-section" data-section="' + section.type + '">');
+            heading = '<span class="material-symbols-outlined">' + (section.icon || SECTIONS[section.type]) + '</span> ' + heading;
+        }
+        lines.push(sectionIndent + '<h3>' + heading + '</h3>');
+        lines.push(sectionIndent + '<ul>');
+        section.items.forEach(function(item) {
+            lines.push(renderItem(item, locale, sectionIndent + '    '));
+        });
+        lines.push(sectionIndent + '</ul>');
+        if (forPage) lines.push(indent + '</div>');
+    });
+
+    if (release.notice) {
+        lines.push(indent + '<div class="subscription-notice">');
+        lines.push(indent + '    <strong>' + escapeHtml(translate(locale, release.notice.title)) + '</strong> ' +
+            escapeHtml(translate(locale, release.notice.description)));
+        lines.push(indent + '</div>');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * A release with its permalink (the version badge) and copy-link button
+ */
+function renderRelease(release, locale, lang, indent) {
+    var anchor = getAnchor(release);
+    return [
+        indent + '<div class="release" id="' + anchor + '" data-version="' + release.version + '">',
+        indent + '    <div class="release-header">',
+        indent + '        <a class="version-badge" href="#' + anchor + '">',
+        indent + '            <span class="material-symbols-outlined">' + (release.icon || DEFAULT_ICON) + '</span>',
+        indent + '            ' + escapeHtml(translate(locale, 'changelogPage.version')) + ' ' + release.version,
+        indent + '        </a>',
+        indent + '        <div class="release-meta">',
+        indent + '            <time class="release-date" datetime="' + release.date + '">' + formatDate(release.date, lang) + '</time>',
+        indent + '            <button type="button" class="release-copy-link" data-copied="' + escapeHtml(translate(locale, 'changelogPage.linkCopied')) + '">',
+        indent + '                <span class="material-symbols-outlined">link</span>',
+        indent + '                <span class="release-copy-label">' + escapeHtml(translate(locale, 'changelogPage.copyLink')) + '</span>',
+        indent + '            </button>',
+        indent + '        </div>',
+        indent + '    </div>',
+        indent + '    <div class="release-content">',
+        renderContent(release, locale, indent + '        ', true),
+        indent + '    </div>',
+        indent + '</div>'
+    ].join('\n');
+}
+
+/**
+ * Put the releases between the markers and point the feed link at the
+ * language's feed
+ * @throws {Error} When the page has no markers
+ */
+function fillPage(html, releases, locale, lang, feedUrl) {
+    var markers = /([ \t]*)(<!--\s*releases\b[^>]*-->)[\s\S]*?([ \t]*<!--\s*\/releases\s*-->)/.exec(html);
+    if (!markers) {
+        throw new Error('no <!-- releases --> ... <!-- /releases --> markers');
+    }
+
+    var indent = markers[1];
+    var list = releases.map(function(release) {
+        return renderRelease(release, locale, lang, indent);
+    }).join('\n\n');
+
+    html = html.replace(markers[0], function() {
+        return indent + markers[2] + '\n' + list + '\n' + markers[3];
+    });
+
+    return html.replace(/(<link\s+rel="alternate"\s+type="application\/atom\+xml"[^>]*\bhref=")[^"]*(")/i, function(match, start, end) {
+        return start + feedUrl + end;
+    });
+}
+
+// ===========================================
+// FEED
+// ===========================================
+
+function renderFeed(releases, locale, lang, pageUrl, feedUrl) {
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="' + lang + '">',
+        '  <id>' + escapeHtml(feedUrl) + '</id>',
+        '  <title>' + escapeHtml(translate(locale, 'meta.changelog.title')) + '</title>',
+        '  <subtitle>' + escapeHtml(translate(locale, 'changelogPage.header.subtitle')) + '</subtitle>',
+        '  <link rel="self" type="application/atom+xml" href="' + escapeHtml(feedUrl) + '" />',
+        '  <link rel="alternate" type="text/html" href="' + escapeHtml(pageUrl) + '" />',
+        '  <updated>' + releases[0].date + 'T00:00:00Z</updated>',
+        '  <author><name>' + AUTHOR + '</name></author>'
+    ];
+
+    releases.forEach(function(release) {
+        var url = pageUrl + '#' + getAnchor(release);
+        lines.push('  <entry>');
+        lines.push('    <id>' + escapeHtml(url) + '</id>');
+        lines.push('    <title>' + escapeHtml(translate(locale, 'changelogPage.version')) + ' ' + release.version + '</title>');
+        lines.push('    <link rel="alternate" type="text/html" href="' + escapeHtml(url) + '" />');
+        lines.push('    <updated>' + release.date + 'T00:00:00Z</updated>');
+        lines.push('    <content type="html">' + escapeHtml(renderContent(release, locale, '', false)) + '</content>');
+        lines.push('  </entry>');
+    });
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+function main() {
+    var config = JSON.parse(fs.readFileSync(site.CONFIG_PATH, 'utf-8'));
+    var i18n = site.getLanguages();
+    var releases = JSON.parse(fs.readFileSync(CHANGELOG_PATH, 'utf-8')).releases || [];
+
+    var errors = validate(releases);
+    if (releases.length === 0) errors.push('no releases');
+    if (errors.length > 0) {
+        errors.forEach(function(message) {
+            console.error('  Error: ' + message);
+        });
+        console.error('build-changelog: ' + errors.length + ' error(s) in ' + path.relative(ROOT_DIR, CHANGELOG_PATH));
+        process.exit(1);
+    }
+
+    var built = 0;
+    i18n.languages.forEach(function(lang) {
+        var dir = lang === i18n.defaultLang ? DIST_DIR : path.join(DIST_DIR, lang);
+        var pagePath = path.join(dir, PAGE);
+        if (!fs.existsSync(pagePath)) {
+            console.warn('  Warning: ' + path.relative(DIST_DIR, pagePath) + ' not found');
+            return;
+        }
+
+        var pageUrl = site.getPageUrl(PAGE, lang, config, i18n.defaultLang);
+        var feedUrl = site.getPageUrl(FEED, lang, config, i18n.defaultLang);
+        try {
+            var locale = loadLocale(lang);
+            var html = fillPage(fs.readFileSync(pagePath, 'utf-8'), releases, locale, lang, feedUrl);
+            var feed = renderFeed(releases, locale, lang, pageUrl, feedUrl);
+            fs.writeFileSync(pagePath, html, 'utf-8');
+            fs.writeFileSync(path.join(dir, FEED), feed, 'utf-8');
+            built++;
+        } catch (err) {
+            console.error('  Error: ' + path.relative(DIST_DIR, pagePath) + ': ' + err.message);
+            process.exit(1);
+        }
+    });
+
+    var latest = { version: releases[0].version, date: releases[0].date };
+    fs.mkdirSync(path.dirname(path.join(DIST_DIR, LATEST_PATH)), { recursive: true });
+    fs.writeFileSync(path.join(DIST_DIR, LATEST_PATH), JSON.stringify(latest, null, 2) + '\n', 'utf-8');
+
+    console.log('build-changelog: ' + releases.length + ' release(s) in ' + built + ' language(s), latest ' + latest.version);
+}
+
+main();
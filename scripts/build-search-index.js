@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Post-build script: writes the site search index of every language.
+ *
+ * The index is read from the built pages in dist/, one entry per part of
+ * a page that a result can link to:
+ *   - user-guide.html: each .guide-section[id], titled by its <h2>
+ *   - blog posts (content/blog/, see build-blog.js): the intro, then each
+ *     heading of .article-content with what follows it
+ *   - changelog.html: each .release[id], titled by its version and date
+ *
+ * For each language built by build:i18n it writes
+ * dist/assets/data/search/<lang>.json for search.js. Pages are listed once
+ * and sections refer to them by position, to keep the file small:
+ *   {
+ *     "lang": "fr",
+ *     "pages": [{ "url": "https://.../fr/user-guide.html", "type": "guide", "title": "Guide" }],
+ *     "sections": [[0, "installation", "Installation", "Prérequis Navigateur Chrome..."]]
+ *   }
+ * A section is [page, anchor, heading, text]; the anchor of a blog intro
+ * is "". Page titles are the footer labels (footer.userGuide, ...), and
+ * "Blog · <post title>" for posts.
+ *
+ * Runs after build-changelog.js and build-blog.js, which fill the
+ * changelog and write the posts.
+ *
+ * Usage: node scripts/build-search-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+const { getPosts } = require('./lib/posts');
+const { loadLocale, translate } = require('./lib/i18n');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const INDEX_DIR = 'assets/data/search';
+
+// Indexed pages, besides the blog posts
+const PAGES = {
+    guide: { page: 'user-guide.html', key: 'footer.userGuide' },
+    changelog: { page: 'changelog.html', key: 'footer.changelog' }
+};
+const BLOG_KEY = 'footer.blog';
+
+// Elements that become a space in the text; other tags are dropped
+const BLOCK_TAGS = /^(address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|ol|p|pre|section|table|td|th|tr|ul)$/i;
+
+// Text that is not content: icon names and section numbers
+const HIDDEN_SPANS = /<span class="(?:material-symbols-outlined|section-number)"[^>]*>[^<]*<\/span>/gi;
+
+// Badges ("Notifications<span class="badge-new">PLUS</span>") are set apart
+// by their margin, not by a space
+const BADGES = /<span class="[^"]*\bbadge\b[^"]*"/gi;
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' '
+};
+
+// ===========================================
+// HTML
+// ===========================================
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(entity, name) {
+        if (name[0] === '#') {
+            var code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : entity;
+    });
+}
+
+function getAttribute(tag, name) {
+    var match = new RegExp('\\s' + name + '="([^"]*)"', 'i').exec(tag);
+    return match ? decodeEntities(match[1]) : null;
+}
+
+function hasClass(tag, className) {
+    var classes = getAttribute(tag, 'class');
+    return classes !== null && classes.split(/\s+/).indexOf(className) !== -1;
+}
+
+/**
+ * Elements of a tag name whose opening tag passes a test, with their
+ * inner HTML; elements nested in a match are not searched
+ * @returns {Array<{tag: string, start: number, end: number, html: string}>}
+ *   start and end include the opening and closing tags
+ * @throws {Error} When an element is not closed
+ */
+function findElements(html, tagName, test) {
+    var elements = [];
+    var open = new RegExp('<' + tagName + '(?=[\\s>])[^>]*>', 'gi');
+    var match;
+
+    while ((match = open.exec(html)) !== null) {
+        if (!test(match[0])) continue;
+
+        var tags = new RegExp('<(/?)' + tagName + '(?=[\\s>])[^>]*>', 'gi');
+        var depth = 1;
+        var close = null;
+        tags.lastIndex = open.lastIndex;
+        while (depth > 0 && (close = tags.exec(html)) !== null) {
+            depth += close[1] ? -1 : 1;
+        }
+        if (!close) {
+            throw new Error('<' + tagName + '> at offset ' + match.index + ' is not closed');
+        }
+
+        elements.push({
+            tag: match[0],
+            start: match.index,
+            end: tags.lastIndex,
+            html: html.slice(open.lastIndex, close.index)
+        });
+        open.lastIndex = tags.lastIndex;
+    }
+
+    return elements;
+}
+
+function findByClass(html, tagName, className) {
+    return findElements(html, tagName, function(tag) {
+        return hasClass(tag, className);
+    });
+}
+
+function removeElements(html, elements) {
+    return elements.reduceRight(function(result, element) {
+        return result.slice(0, element.start) + result.slice(element.end);
+    }, html);
+}
+
+/**
+ * Visible text of an HTML fragment on one line
+ */
+function toText(html) {
+    var text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|template)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(HIDDEN_SPANS, ' ')
+        .replace(BADGES, ' $&')
+        .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, function(tag, name) {
+            return BLOCK_TAGS.test(name) ? ' ' : '';
+        });
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+// ===========================================
+// SECTIONS
+// ===========================================
+
+/**
+ * The .guide-section[id] elements of the user guide
+ * @returns {Array<Array<string>>} [anchor, heading, text] per section
+ */
+function getGuideSections(html) {
+    return findByClass(html, 'section', 'guide-section').filter(function(section) {
+        return getAttribute(section.tag, 'id');
+    }).map(function(section) {
+        var heading = findElements(section.html, 'h2', function() { return true; })[0];
+        var id = getAttribute(section.tag, 'id');
+        return [
+            id,
+            heading ? toText(heading.html) : id,
+            toText(heading ? removeElements(section.html, [heading]) : section.html)
+        ];
+    });
+}
+
+/**
+ * The intro and headed parts of a blog post's .article-content; the
+ * headings carry the ids build-blog.js gives them
+ * @returns {Array<Array<string>>} [anchor, heading, text] per section
+ */
+function getPostSections(html, title) {
+    var content = findByClass(html, 'div', 'article-content')[0];
+    if (!content) throw new Error('no .article-content');
+
+    var body = removeElements(content.html, findByClass(content.html, 'div', 'article-cta'));
+    var headings = /<h([23])\b([^>]*)>([\s\S]*?)<\/h\1>/gi;
+    var sections = [];
+    var current = ['', title];
+    var last = 0;
+    var match;
+
+    while ((match = headings.exec(body)) !== null) {
+        current.push(toText(body.slice(last, match.index)));
+        sections.push(current);
+        current = [getAttribute(match[2], 'id') || '', toText(match[3])];
+        last = headings.lastIndex;
+    }
+    current.push(toText(body.slice(last)));
+    sections.push(current);
+
+    return sections;
+}
+
+/**
+ * The .release[id] elements of the changelog, titled "Version 0.4.0.9
+ * (16 April 2026)"
+ * @returns {Array<Array<string>>} [anchor, heading, text] per release
+ */
+function getReleaseSections(html) {
+    return findByClass(html, 'div', 'release').filter(function(release) {
+        return getAttribute(release.tag, 'id');
+    }).map(function(release) {
+        var badge = findByClass(release.html, 'a', 'version-badge')[0];
+        var date = /<time\b[^>]*>([\s\S]*?)<\/time>/i.exec(release.html);
+        var content = findByClass(release.html, 'div', 'release-content')[0];
+        var id = getAttribute(release.tag, 'id');
+        return [
+            id,
+            (badge ? toText(badge.html) : id) + (date ? ' (' + toText(date[1]) + ')' : ''),
+            content ? toText(content.html) : ''
+        ];
+    });
+}
+
+// ===========================================
+// INDEX
+// ===========================================
+
+/**
+ * Search index of one language's built pages
+ * @param {string} dir - dist/ folder of the language
+ * @returns {{index: Object, missing: Array<string>}} The index, and the
+ *   pages that were not found
+ */
+function buildIndex(dir, lang, locale, posts, config, i18n) {
+    var index = { lang: lang, pages: [], sections: [] };
+    var missing = [];
+
+    // read(html) returns the page's title and sections
+    function addPage(page, type, read) {
+        var file = path.join(dir, page);
+        if (!fs.existsSync(file)) {
+            missing.push(path.relative(DIST_DIR, file));
+            return;
+        }
+
+        var result = read(fs.readFileSync(file, 'utf-8'));
+        var sections = result.sections.filter(function(section) {
+            return section[2] !== '';
+        });
+        if (sections.length === 0) return;
+
+        var position = index.pages.length;
+        index.pages.push({
+            url: site.getPageUrl(page, lang, config, i18n.defaultLang),
+            type: type,
+            title: result.title
+        });
+        sections.forEach(function(section) {
+            index.sections.push([position].concat(section));
+        });
+    }
+
+    addPage(PAGES.guide.page, 'guide', function(html) {
+        return { title: translate(locale, PAGES.guide.key), sections: getGuideSections(html) };
+    });
+
+    posts.forEach(function(post) {
+        addPage(post.page, 'blog', function(html) {
+            var heading = /<h1\b[^>]*>([\s\S]*?)<\/h1>/i.exec(html);
+            var title = heading ? toText(heading[1]) : post.slug;
+            return {
+                title: translate(locale, BLOG_KEY) + ' · ' + title,
+                sections: getPostSections(html, title)
+            };
+        });
+    });
+
+    addPage(PAGES.changelog.page, 'changelog', function(html) {
+        return { title: translate(locale, PAGES.changelog.key), sections: getReleaseSections(html) };
+    });
+
+    return { index: index, missing: missing };
+}
+
+function main() {
+    var config = JSON.parse(fs.readFileSync(site.CONFIG_PATH, 'utf-8'));
+    var i18n = site.getLanguages();
+    var posts = getPosts();
+    var sections = 0;
+    var bytes = 0;
+
+    fs.mkdirSync(path.join(DIST_DIR, INDEX_DIR), { recursive: true });
+
+    i18n.languages.forEach(function(lang) {
+        var dir = lang === i18n.defaultLang ? DIST_DIR : path.join(DIST_DIR, lang);
+        var result;
+        try {
+            result = buildIndex(dir, lang, loadLocale(lang), posts, config, i18n);
+        } catch (err) {
+            console.error('  Error: ' + lang + ': ' + err.message);
+            process.exit(1);
+        }
+
+        result.missing.forEach(function(file) {
+            console.warn('  Warning: ' + file + ' not found');
+        });
+
+        var json = JSON.stringify(result.index);
+        fs.writeFileSync(path.join(DIST_DIR, INDEX_DIR, lang + '.json'), json, 'utf-8');
+        sections += result.index.sections.length;
+        bytes += Buffer.byteLength(json);
+    });
+
+    console.log('build-search-index: ' + sections + ' section(s) in ' + i18n.languages.length +
+        ' language(s), ' + Math.round(bytes / 1024) + ' KB');
+}
+
+main();
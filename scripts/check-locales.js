@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Checks every locales/<lang>.json against en.json.
+ *
+ * Errors (they show up as empty or broken text on the site):
+ *   - missing keys, and keys whose value is empty
+ *   - {placeholder} or HTML tag mismatches with the English value
+ *   - keys used in src/**\/*.html (data-t, <attr>-t),
+ *     schemas/templates/, assets/data/changelog.json or the "keys" of the
+ *     blog posts in content/blog/ that exist in no locale
+ *
+ * Warnings:
+ *   - extra keys that en.json does not have
+ *   - values identical to English (likely untranslated); values without
+ *     letters and IDENTICAL_ALLOWED terms are skipped
+ *
+ * Prints the completeness of each language: the share of English keys
+ * with a non-empty translation.
+ *
+ * Usage: node scripts/check-locales.js [--strict] [--verbose]
+ *   --strict   Exit 1 when there are errors
+ *   --verbose  List the keys behind every warning, not only their count
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPosts } = require('./lib/posts');
+const i18n = require('./lib/i18n');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SRC_DIR = path.join(ROOT_DIR, 'src');
+const TEMPLATES_DIR = path.join(ROOT_DIR, 'schemas', 'templates');
+const CHANGELOG_PATH = path.join(ROOT_DIR, 'assets', 'data', 'changelog.json');
+const DEFAULT_LANG = 'en';
+
+// Names and terms that stay in English in every language
+const IDENTICAL_ALLOWED = [
+    'Odoo', 'Gmail', 'Odoo Integration for Gmail', 'Chrome', 'Google', 'OAuth', 'API', 'CRM',
+    'Plus', 'PLUS', 'Free', 'Team', 'Blog', 'Email', 'Support', 'Tickets', 'OK'
+];
+
+const args = process.argv.slice(2);
+const STRICT = args.indexOf('--strict') !== -1;
+const VERBOSE = args.indexOf('--verbose') !== -1;
+
+function listFiles(dir, extension, prefix) {
+    prefix = prefix || '';
+    const files = [];
+    if (!fs.existsSync(dir)) return files;
+    for (const entry of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, entry);
+        const relPath = prefix ? prefix + '/' + entry : entry;
+        if (fs.statSync(fullPath).isDirectory()) {
+            files.push.apply(files, listFiles(fullPath, extension, relPath));
+        } else if (entry.endsWith(extension)) {
+            files.push(relPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Flatten a locale into dotted keys ("pricingPage.faq.q1": "...")
+ */
+function flatten(node, prefix, result) {
+    result = result || {};
+    Object.keys(node).forEach(function(key) {
+        var fullKey = prefix ? prefix + '.' + key : key;
+        if (node[key] !== null && typeof node[key] === 'object') {
+            flatten(node[key], fullKey, result);
+        } else {
+            result[fullKey] = node[key];
+        }
+    });
+    return result;
+}
+
+function loadLocale(lang) {
+    return flatten(i18n.loadLocale(lang));
+}
+
+// ===========================================
+// VALUE CHECKS
+// ===========================================
+
+function getPlaceholders(value) {
+    return (String(value).match(/\{\{?\s*[\w.]+\s*\}?\}/g) || []).sort();
+}
+
+function getTags(value) {
+    return (String(value).match(/<\/?[a-z][a-z0-9]*/gi) || []).map(function(tag) { return tag.toLowerCase(); }).sort();
+}
+
+function sameList(a, b) {
+    return a.join('\n') === b.join('\n');
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * A value that is expected to match English: no letters, or an allowed term
+ */
+function mayBeIdentical(value) {
+    var text = String(value).trim();
+    return !/\p{L}/u.test(text) || IDENTICAL_ALLOWED.indexOf(text) !== -1;
+}
+
+/**
+ * Compare one locale with English
+ * @param {Object} english - Flattened en.json
+ * @param {Object} locale - Flattened locale
+ * @returns {Object} Keys per problem and the completeness percentage
+ */
+function compareLocale(english, locale) {
+    var report = { missing: [], empty: [], mismatched: [], extra: [], identical: [] };
+    var englishKeys = Object.keys(english);
+    var translated = 0;
+
+    englishKeys.forEach(function(key) {
+        if (!(key in locale)) {
+            report.missing.push(key);
+            return;
+        }
+        var value = locale[key];
+        if (isEmpty(value)) {
+            report.empty.push(key);
+            return;
+        }
+        translated++;
+
+        if (!sameList(getPlaceholders(english[key]), getPlaceholders(value))) {
+            report.mismatched.push(key + ' (placeholders ' + getPlaceholders(value).join(' ') +
+                ', English has ' + getPlaceholders(english[key]).join(' ') + ')');
+        } else if (!sameList(getTags(english[key]), getTags(value))) {
+            report.mismatched.push(key + ' (HTML tags differ from English)');
+        }
+        if (value === english[key] && !mayBeIdentical(value)) {
+            report.identical.push(key);
+        }
+    });
+
+    Object.keys(locale).forEach(function(key) {
+        if (!(key in english)) report.extra.push(key);
+    });
+
+    report.completeness = englishKeys.length ? translated / englishKeys.length * 100 : 100;
+    return report;
+}
+
+// ===========================================
+// KEYS USED BY PAGES
+// ===========================================
+
+/**
+ * Locale keys used by src pages: data-t="key", data-t>key</...> and the
+ * <attr>-t="key" attributes of data-attr-t elements; also the schema
+ * templates, the changelog items and the blog post keys
+ * @returns {Array<{key: string, file: string, line: number}>}
+ */
+function getSourceKeys() {
+    var used = [];
+
+    listFiles(SRC_DIR, '.html').forEach(function(file) {
+        var html = fs.readFileSync(path.join(SRC_DIR, file), 'utf-8');
+        var tagRegex = /<[a-z][a-z0-9]*\s[^>]*>/gi;
+        var match;
+
+        while ((match = tagRegex.exec(html)) !== null) {
+            var tag = match[0];
+            var keys = [];
+            var dataT = /\sdata-t(?:="([^"]*)")?[\s>]/.exec(tag);
+
+            if (dataT) {
+                // An empty data-t uses the element text as the key
+                keys.push(dataT[1] || html.slice(match.index + tag.length).split('<')[0].trim());
+            }
+            if (/\sdata-attr-t[\s=>]/.test(tag)) {
+                var attrRegex = /\s([\w-]+)-t="([^"]*)"/g;
+                var attr;
+                while ((attr = attrRegex.exec(tag)) !== null) {
+                    if (attr[1] !== 'data' && attr[1] !== 'data-attr') keys.push(attr[2]);
+                }
+            }
+
+            keys.filter(Boolean).forEach(function(key) {
+                used.push({ key: key, file: 'src/' + file, line: html.slice(0, match.index).split('\n').length });
+            });
+        }
+    });
+
+    listFiles(TEMPLATES_DIR, '.json').forEach(function(file) {
+        var collect = function(node) {
+            if (typeof node === 'string') {
+                used.push({ key: node, file: 'schemas/templates/' + file, line: 0 });
+            } else if (node && typeof node === 'object') {
+                Object.keys(node).forEach(function(key) { collect(node[key]); });
+            }
+        };
+        collect(JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf-8')));
+    });
+
+    if (fs.existsSync(CHANGELOG_PATH)) {
+        var collectItems = function(release, items) {
+            items.forEach(function(item) {
+                ['title', 'description', 'text'].forEach(function(field) {
+                    if (item[field]) used.push({ key: item[field], file: 'assets/data/changelog.json (' + release + ')', line: 0 });
+                });
+                if (item.items) collectItems(release, item.items);
+            });
+        };
+        JSON.parse(fs.readFileSync(CHANGELOG_PATH, 'utf-8')).releases.forEach(function(release) {
+            (release.sections || []).forEach(function(section) {
+                collectItems(release.version, section.items || []);
+            });
+            if (release.notice) collectItems(release.version, [release.notice]);
+        });
+    }
+
+    getPosts().forEach(function(post) {
+        Object.keys(post.sources).forEach(function(lang) {
+            var keys = post.sources[lang].data.keys || {};
+            Object.keys(keys).forEach(function(field) {
+                used.push({ key: keys[field], file: path.relative(ROOT_DIR, post.sources[lang].file) + ' (' + field + ')', line: 0 });
+            });
+        });
+    });
+
+    return used;
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+function printList(label, keys, always) {
+    if (keys.length === 0) return;
+    if (!always && !VERBOSE) {
+        console.log('    ' + label + ': ' + keys.length + ' (--verbose to list)');
+        return;
+    }
+    keys.forEach(function(key) {
+        console.log('    ' + label + ': ' + key);
+    });
+}
+
+function main() {
+    var languages = fs.readdirSync(i18n.LOCALES_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.replace(/\.json$/, ''))
+        .sort();
+    var locales = {};
+    languages.forEach(function(lang) {
+        locales[lang] = loadLocale(lang);
+    });
+
+    var english = locales[DEFAULT_LANG];
+    var totalErrors = 0;
+    var totalWarnings = 0;
+
+    console.log('check-locales: ' + (languages.length - 1) + ' locale(s) against ' + DEFAULT_LANG + '.json (' +
+        Object.keys(english).length + ' keys)');
+
+    languages.filter(lang => lang !== DEFAULT_LANG).forEach(function(lang) {
+        var report = compareLocale(english, locales[lang]);
+        var errors = report.missing.length + report.empty.length + report.mismatched.length;
+        var warnings = report.extra.length + report.identical.length;
+        totalErrors += errors;
+        totalWarnings += warnings;
+
+        console.log('  ' + lang + ': ' + report.completeness.toFixed(1) + '% complete' +
+            (errors || warnings ? ', ' + errors + ' error(s), ' + warnings + ' warning(s)' : ''));
+        printList('Missing', report.missing, true);
+        printList('Empty', report.empty, true);
+        printList('Mismatch', report.mismatched, true);
+        printList('Extra', report.extra, false);
+        printList('Same as English', report.identical, false);
+    });
+
+    var unknown = getSourceKeys().filter(function(use) {
+        return !languages.some(function(lang) { return use.key in locales[lang]; });
+    });
+    if (unknown.length > 0) {
+        console.log('  Keys in no locale:');
+        unknown.forEach(function(use) {
+            console.log('    ' + use.file + (use.line ? ':' + use.line : '') + ': ' + use.key);
+        });
+        totalErrors += unknown.length;
+    }
+
+    console.log('check-locales: ' + totalErrors + ' error(s), ' + totalWarnings + ' warning(s)');
+
+    if (STRICT && totalErrors > 0) {
+        process.exit(1);
+    }
+}
+
+main();
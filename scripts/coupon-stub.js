@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the coupon endpoint that regional-pricing.js asks
+ * about ?coupon=CODE (coupons.api in assets/data/pricing.json), serving
+ * the site next to it so the endpoint is on the same origin:
+ *
+ *   node scripts/coupon-stub.js &
+ *   open http://localhost:8788/pricing.html?coupon=SPRING25
+ *
+ * GET /api/coupons/<CODE> answers, for a code in the coupon table,
+ *   { "status": "valid", "type": "percent", "value": 25, "plans": ["plus", "team"],
+ *     "expires": "2099-12-31", "checkout": { "plus": "https://buy.polar.sh/..." } }
+ * with "status": "expired" once the expiry date has passed, and a 404 for
+ * any other code. "checkout" holds the Polar checkout link of each plan,
+ * which takes the code as ?discount_code=. Other paths are files of the
+ * site.
+ *
+ * The coupon table maps codes to { type, value, plans, expires, checkout };
+ * without --coupons it is a demo table:
+ *   SPRING25  25% off PLUS and Team, valid
+ *   PARTNER5  $5 off PLUS per month, valid
+ *   WINTER24  20% off PLUS and Team, expired
+ *
+ * Usage: node scripts/coupon-stub.js [options]
+ *   --port <n>            Port (default: 8788)
+ *   --coupons <file>      JSON coupon table (default: the demo table)
+ *   --today <YYYY-MM-DD>  Date expiry is checked against (default: today)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const DEMO_CHECKOUT = {
+    plus: 'https://buy.polar.sh/polar_cl_demo_plus',
+    team: 'https://buy.polar.sh/polar_cl_demo_team'
+};
+
+const DEMO_COUPONS = {
+    SPRING25: { type: 'percent', value: 25, plans: ['plus', 'team'], expires: '2099-12-31', checkout: DEMO_CHECKOUT },
+    PARTNER5: { type: 'fixed', value: 5, plans: ['plus'], expires: '2099-12-31', checkout: DEMO_CHECKOUT },
+    WINTER24: { type: 'percent', value: 20, plans: ['plus', 'team'], expires: '2024-12-31', checkout: DEMO_CHECKOUT }
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ico': 'image/x-icon'
+};
+
+function parseArgs(argv) {
+    const options = {
+        port: 8788,
+        coupons: '',
+        today: new Date().toISOString().slice(0, 10)
+    };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) throw new Error('Unknown option: ' + argv[i]);
+        options[name] = typeof options[name] === 'number' ? parseInt(argv[i + 1], 10) : argv[i + 1];
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const coupons = options.coupons ? JSON.parse(fs.readFileSync(options.coupons, 'utf-8')) : DEMO_COUPONS;
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+}
+
+function sendFile(res, pathname) {
+    let file = path.join(ROOT_DIR, decodeURIComponent(pathname));
+    if (file.indexOf(ROOT_DIR) !== 0) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+    if (!fs.existsSync(file)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+}
+
+const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const match = /^\/api\/coupons\/([^/]+)$/.exec(pathname);
+
+    if (!match) {
+        sendFile(res, pathname);
+        return;
+    }
+
+    const code = decodeURIComponent(match[1]).toUpperCase();
+    const coupon = Object.prototype.hasOwnProperty.call(coupons, code) ? coupons[code] : null;
+    console.log('coupon-stub: ' + code + ': ' + (coupon ? 'found' : 'not found'));
+
+    if (!coupon) {
+        sendJson(res, 404, { status: 'invalid' });
+        return;
+    }
+
+    sendJson(res, 200, Object.assign({
+        status: coupon.expires && coupon.expires < options.today ? 'expired' : 'valid'
+    }, coupon));
+});
+
+server.listen(options.port, () => {
+    console.log('coupon-stub: listening on http://localhost:' + options.port);
+});
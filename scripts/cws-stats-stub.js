@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the shields.io Chrome Web Store badges, to run
+ * update-cws-stats.js offline:
+ *
+ *   node scripts/cws-stats-stub.js --users 1.2k &
+ *   node scripts/update-cws-stats.js --endpoint http://localhost:8787 --dry-run
+ *
+ * Serves /users/<id>.json, /rating/<id>.json and /rating-count/<id>.json
+ * in the shields.io JSON format ({ label, message, value }).
+ *
+ * Usage: node scripts/cws-stats-stub.js [options]
+ *   --port <n>            Port (default: 8787)
+ *   --users <value>       Users badge value (default: "1.2k")
+ *   --rating <value>      Rating badge value (default: "4.8/5"; "" for not found)
+ *   --rating-count <v>    Review count badge value (default: "12 total"; "" for not found)
+ *   --fail <n>            Answer the first n requests with HTTP 503 (tests retries)
+ *   --delay <ms>          Wait before every answer (tests timeouts)
+ */
+
+const http = require('http');
+
+function parseArgs(argv) {
+    const options = {
+        port: 8787,
+        users: '1.2k',
+        rating: '4.8/5',
+        'rating-count': '12 total',
+        fail: 0,
+        delay: 0
+    };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) throw new Error('Unknown option: ' + argv[i]);
+        options[name] = typeof options[name] === 'number' ? parseInt(argv[i + 1], 10) : argv[i + 1];
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+let requests = 0;
+
+const server = http.createServer((req, res) => {
+    const match = /^\/(users|rating|rating-count)\/[\w]+\.json$/.exec(req.url);
+    requests++;
+
+    setTimeout(() => {
+        if (requests <= options.fail) {
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+        if (!match) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        const value = options[match[1]];
+        // Like shields.io: unknown data is a 200 with a "not found" message
+        const body = value
+            ? { label: match[1], message: value, value: value }
+            : { label: match[1], message: 'not found' };
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }, options.delay);
+});
+
+server.listen(options.port, () => {
+    console.log('cws-stats-stub: listening on http://localhost:' + options.port);
+});
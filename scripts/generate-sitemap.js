@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Post-build script: writes dist/sitemap.xml from the page inventory.
+ *
+ * Every src/**\/*.html page and every Markdown blog post (content/blog/,
+ * see build-blog.js) is listed once per language built by build:i18n in
+ * package.json (-l is the default language, -i the built ones), with
+ * hreflang alternates for all languages and x-default pointing at the
+ * default language. A new page or blog post appears automatically.
+ *
+ * changefreq and priority come from the first matching rule in
+ * sitemap.config.json ("*" matches within a folder, "**" across folders),
+ * and pages are listed in the order of their rules.
+ * Translations get the rule's priority plus translatedPriorityOffset.
+ * Pages matching an "exclude" pattern are left out.
+ *
+ * lastmod is the latest change of the files a page is built from: its
+ * source (for a post, the blog layout and its Markdown files), the
+ * language's locale file, its JSON-LD schema files and the data files in
+ * PAGE_DATA. A change is the last commit touching the file, or its
+ * modification time when it has uncommitted changes or git is unavailable.
+ *
+ * Usage: node scripts/generate-sitemap.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const { LAYOUT, getPosts } = require('./lib/posts');
+const { CONFIG_PATH, getLanguages, getPageUrl } = require('./lib/site');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SRC_DIR = path.join(ROOT_DIR, 'src');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+// Data files that post-build scripts render into a page
+const PAGE_DATA = {
+    'changelog.html': ['assets/data/changelog.json']
+};
+
+function getHtmlFiles(dir, prefix) {
+    prefix = prefix || '';
+    const files = [];
+    for (const entry of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, entry);
+        const relPath = prefix ? prefix + '/' + entry : entry;
+        if (fs.statSync(fullPath).isDirectory()) {
+            files.push.apply(files, getHtmlFiles(fullPath, relPath));
+        } else if (entry.endsWith('.html')) {
+            files.push(relPath);
+        }
+    }
+    return files;
+}
+
+// ===========================================
+// RULES
+// ===========================================
+
+/**
+ * Turn a page pattern into a RegExp ("*" within a folder, "**" across)
+ */
+function patternToRegex(pattern) {
+    var source = pattern.split('**').map(function(part) {
+        return part.split('*').map(function(text) {
+            return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('[^/]*');
+    }).join('.*');
+    return new RegExp('^' + source + '$');
+}
+
+function matches(page, patterns) {
+    return patterns.some(function(pattern) { return patternToRegex(pattern).test(page); });
+}
+
+/**
+ * changefreq and priority of a page in a language
+ * @throws {Error} When no rule matches
+ */
+function getRule(page, isDefaultLang, config) {
+    var rule = config.rules.filter(function(candidate) { return matches(page, [candidate.pattern]); })[0];
+    if (!rule) throw new Error('no rule in sitemap.config.json matches ' + page);
+
+    var priority = isDefaultLang ? rule.priority : rule.priority + (config.translatedPriorityOffset || 0);
+    return {
+        changefreq: rule.changefreq,
+        priority: Math.min(1, Math.max(0, priority)).toFixed(1)
+    };
+}
+
+// ===========================================
+// LASTMOD
+// ===========================================
+
+var changeDates = {};
+
+function git(args) {
+    return childProcess.execFileSync('git', args, { cwd: ROOT_DIR, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+/**
+ * Date (YYYY-MM-DD) a file last changed, or null when it does not exist
+ */
+function getChangeDate(file) {
+    if (file in changeDates) return changeDates[file];
+    if (!fs.existsSync(file)) return (changeDates[file] = null);
+
+    var date = null;
+    try {
+        var relPath = path.relative(ROOT_DIR, file);
+        // Uncommitted or untracked files changed after their last commit
+        if (!git(['status', '--porcelain', '--', relPath])) {
+            date = git(['log', '-1', '--format=%cs', '--', relPath]) || null;
+        }
+    } catch (e) {
+        // Not a git checkout: fall back to the modification time
+    }
+
+    changeDates[file] = date || fs.statSync(file).mtime.toISOString().slice(0, 10);
+    return changeDates[file];
+}
+
+// Markdown blog posts by page, set in main()
+var posts = {};
+
+/**
+ * Source files of a page in a language
+ */
+function getPageSources(page, lang, defaultLang) {
+    var post = posts[page];
+    if (!post) return [path.join(SRC_DIR, page)];
+
+    // A language without its own Markdown file shows the default one
+    return [path.join(SRC_DIR, LAYOUT)].concat([defaultLang, lang].filter(function(sourceLang) {
+        return post.sources[sourceLang];
+    }).map(function(sourceLang) {
+        return post.sources[sourceLang].file;
+    }));
+}
+
+/**
+ * Latest change of the files a page is built from in a language
+ */
+function getLastmod(page, lang, defaultLang) {
+    var schemaFile = page.replace(/\.html$/, '.json');
+    var sources = getPageSources(page, lang, defaultLang).concat([
+        path.join(ROOT_DIR, 'locales', lang + '.json'),
+        path.join(ROOT_DIR, 'schemas', 'templates', schemaFile),
+        path.join(ROOT_DIR, 'schemas', lang, schemaFile)
+    ]).concat((PAGE_DATA[page] || []).map(function(file) {
+        return path.join(ROOT_DIR, file);
+    }));
+
+    return sources.map(getChangeDate).filter(Boolean).sort().pop();
+}
+
+// ===========================================
+// XML
+// ===========================================
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Pages in sitemap order: by their rule in sitemap.config.json, then by path
+ */
+function sortPages(pages, config) {
+    var rank = function(page) {
+        for (var i = 0; i < config.rules.length; i++) {
+            if (matches(page, [config.rules[i].pattern])) return i;
+        }
+        return config.rules.length;
+    };
+    return pages.slice().sort(function(a, b) {
+        return rank(a) - rank(b) || a.localeCompare(b);
+    });
+}
+
+function renderSitemap(pages, config, languages, defaultLang) {
+    var languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '        xmlns:xhtml="http://www.w3.org/1999/xhtml">'
+    ];
+
+    languages.forEach(function(lang) {
+        lines.push('  <!-- ' + languageNames.of(lang) + ' pages -->');
+
+        pages.forEach(function(page) {
+            var rule = getRule(page, lang === defaultLang, config);
+
+            lines.push('  <url>');
+            lines.push('    <loc>' + escapeXml(getPageUrl(page, lang, config, defaultLang)) + '</loc>');
+            languages.concat('x-default').forEach(function(alternate) {
+                var href = getPageUrl(page, alternate === 'x-default' ? defaultLang : alternate, config, defaultLang);
+                lines.push('    <xhtml:link rel="alternate" hreflang="' + alternate + '" href="' + escapeXml(href) + '" />');
+            });
+            lines.push('    <lastmod>' + getLastmod(page, lang, defaultLang) + '</lastmod>');
+            lines.push('    <changefreq>' + rule.changefreq + '</changefreq>');
+            lines.push('    <priority>' + rule.priority + '</priority>');
+            lines.push('  </url>');
+        });
+    });
+
+    lines.push('</urlset>');
+    return lines.join('\n') + '\n';
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+function main() {
+    var config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+    var i18n = getLanguages();
+
+    var xml;
+    var pages;
+    try {
+        getPosts().forEach(function(post) {
+            posts[post.page] = post;
+        });
+        pages = sortPages(getHtmlFiles(SRC_DIR).concat(Object.keys(posts)).filter(function(page) {
+            return !matches(page, config.exclude || []);
+        }), config);
+        xml = renderSitemap(pages, config, i18n.languages, i18n.defaultLang);
+    } catch (err) {
+        console.error('generate-sitemap: ' + err.message);
+        process.exit(1);
+    }
+
+    fs.writeFileSync(path.join(DIST_DIR, 'sitemap.xml'), xml, 'utf-8');
+    console.log('generate-sitemap: ' + pages.length + ' page(s) x ' + i18n.languages.length + ' language(s)');
+}
+
+main();
@@ -0,0 +1,49 @@
+/**
+ * Locale helpers shared by the build scripts (build-changelog.js,
+ * build-blog.js, build-search-index.js, patch-schemas.js,
+ * check-locales.js): read locales/<lang>.json, look up its keys, and put
+ * the text into HTML.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', '..', 'locales');
+
+function loadLocale(lang) {
+    return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, lang + '.json'), 'utf-8'));
+}
+
+/**
+ * Look up a dotted locale key ("changelogPage.sections.bugFixes")
+ * @throws {Error} When the key is missing or not a string
+ */
+function translate(locale, key) {
+    var value = key.split('.').reduce(function(node, part) {
+        return node && node[part];
+    }, locale);
+    if (typeof value !== 'string') {
+        throw new Error('missing locale key "' + key + '"');
+    }
+    return value;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * A YYYY-MM-DD date in the language's long format ("16 avril 2026")
+ */
+function formatDate(date, lang) {
+    return new Intl.DateTimeFormat(lang, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+        .format(new Date(date + 'T00:00:00Z'));
+}
+
+module.exports = {
+    LOCALES_DIR: LOCALES_DIR,
+    loadLocale: loadLocale,
+    translate: translate,
+    escapeHtml: escapeHtml,
+    formatDate: formatDate
+};
@@ -0,0 +1,75 @@
+/**
+ * Blog post helpers shared by the build scripts (build-blog.js,
+ * build-search-index.js, patch-schemas.js, generate-sitemap.js,
+ * check-locales.js): read the Markdown posts in content/blog/ and their
+ * front matter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const site = require('./site');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const CONTENT_DIR = path.join(ROOT_DIR, 'content', 'blog');
+
+// The src page static-i18n builds the posts from
+const LAYOUT = 'blog/_layout.html';
+
+/**
+ * Split a Markdown file into its front matter and body
+ * @throws {Error} When the front matter is not valid YAML
+ */
+function readMarkdown(file) {
+    var text = fs.readFileSync(file, 'utf-8');
+    var match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+    var data = {};
+
+    if (match) {
+        try {
+            data = yaml.load(match[1]) || {};
+        } catch (err) {
+            throw new Error(path.relative(ROOT_DIR, file) + ': invalid front matter: ' + err.message);
+        }
+        text = text.slice(match[0].length);
+    }
+
+    // YAML may read dates as Date objects
+    ['date', 'updated'].forEach(function(name) {
+        if (data[name] instanceof Date) data[name] = data[name].toISOString().slice(0, 10);
+    });
+    return { file: file, data: data, body: text };
+}
+
+/**
+ * Posts in content/blog/, newest first
+ * @returns {Array<{slug: string, page: string, sources: Object}>} sources
+ *   maps each language with a Markdown file to its { file, data, body }
+ */
+function getPosts() {
+    if (!fs.existsSync(CONTENT_DIR)) return [];
+    var defaultLang = site.getLanguages().defaultLang;
+
+    return fs.readdirSync(CONTENT_DIR).filter(function(entry) {
+        return fs.statSync(path.join(CONTENT_DIR, entry)).isDirectory();
+    }).map(function(slug) {
+        var dir = path.join(CONTENT_DIR, slug);
+        var sources = {};
+        fs.readdirSync(dir).filter(function(entry) {
+            return entry.endsWith('.md');
+        }).forEach(function(entry) {
+            sources[entry.replace(/\.md$/, '')] = readMarkdown(path.join(dir, entry));
+        });
+        return { slug: slug, page: 'blog/' + slug + '.html', sources: sources };
+    }).sort(function(a, b) {
+        var dateA = a.sources[defaultLang] ? String(a.sources[defaultLang].data.date) : '';
+        var dateB = b.sources[defaultLang] ? String(b.sources[defaultLang].data.date) : '';
+        return dateB.localeCompare(dateA) || a.slug.localeCompare(b.slug);
+    });
+}
+
+module.exports = {
+    CONTENT_DIR: CONTENT_DIR,
+    LAYOUT: LAYOUT,
+    getPosts: getPosts
+};
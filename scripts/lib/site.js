@@ -0,0 +1,46 @@
+/**
+ * Site helpers shared by the build scripts (build-changelog.js,
+ * build-blog.js, build-search-index.js, patch-head.js, generate-sitemap.js):
+ * the languages built by build:i18n in package.json, and the public URL of
+ * a page from sitemap.config.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const CONFIG_PATH = path.join(ROOT_DIR, 'sitemap.config.json');
+const PACKAGE_PATH = path.join(ROOT_DIR, 'package.json');
+
+/**
+ * Default and built languages from the build:i18n script
+ * @returns {{defaultLang: string, languages: Array<string>}} languages
+ *   starts with the default one
+ */
+function getLanguages() {
+    var command = JSON.parse(fs.readFileSync(PACKAGE_PATH, 'utf-8')).scripts['build:i18n'];
+    var defaultMatch = /\s-l\s+([\w-]+)/.exec(command);
+    var defaultLang = defaultMatch ? defaultMatch[1] : 'en';
+    var languages = [defaultLang];
+    var regex = /\s-i\s+([\w-]+)/g;
+    var match;
+
+    while ((match = regex.exec(command)) !== null) {
+        if (languages.indexOf(match[1]) === -1) languages.push(match[1]);
+    }
+    return { defaultLang: defaultLang, languages: languages };
+}
+
+/**
+ * Public URL of a page in a language; index.html is served as its folder
+ */
+function getPageUrl(page, lang, config, defaultLang) {
+    var pagePath = page.replace(/(^|\/)index\.html$/, '$1');
+    return config.siteUrl + (lang === defaultLang ? '' : lang + '/') + pagePath;
+}
+
+module.exports = {
+    CONFIG_PATH: CONFIG_PATH,
+    getLanguages: getLanguages,
+    getPageUrl: getPageUrl
+};
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Post-build script: writes the language tags of every page's <head>.
+ *
+ * For every dist page in every language built by build:i18n it sets:
+ *   - <html lang> to the language
+ *   - a self-referencing <link rel="canonical"> and og:url
+ *   - <link rel="alternate" hreflang> for each language the page exists
+ *     in, plus x-default (the default language)
+ *   - og:locale and og:locale:alternate (see OG_LOCALES)
+ *
+ * Existing tags are replaced, so src pages only need a canonical link,
+ * which marks where the alternates go. Pages missing in some languages
+ * get a warning and only list the languages they exist in.
+ *
+ * Usage: node scripts/patch-head.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./lib/site');
+
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+// Open Graph wants territory locales; pt is Brazilian Portuguese
+const OG_LOCALES = {
+    en: 'en_US',
+    es: 'es_ES',
+    fr: 'fr_FR',
+    de: 'de_DE',
+    it: 'it_IT',
+    pt: 'pt_BR',
+    nl: 'nl_NL',
+    pl: 'pl_PL'
+};
+
+function getHtmlFiles(dir, prefix) {
+    prefix = prefix || '';
+    const files = [];
+    for (const entry of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, entry);
+        const relPath = prefix ? prefix + '/' + entry : entry;
+        if (fs.statSync(fullPath).isDirectory()) {
+            files.push.apply(files, getHtmlFiles(fullPath, relPath));
+        } else if (entry.endsWith('.html')) {
+            files.push(relPath);
+        }
+    }
+    return files;
+}
+
+function getOgLocale(lang) {
+    return OG_LOCALES[lang] || lang + '_' + lang.toUpperCase();
+}
+
+// ===========================================
+// INVENTORY
+// ===========================================
+
+/**
+ * Pages of each language: dist/ for the default one, dist/<lang>/ for the others
+ * @returns {Object} Page paths keyed by language
+ */
+function getInventory(languages, defaultLang) {
+    var inventory = {};
+    languages.forEach(function(lang) {
+        var dir = lang === defaultLang ? DIST_DIR : path.join(DIST_DIR, lang);
+        inventory[lang] = !fs.existsSync(dir) ? [] : getHtmlFiles(dir).filter(function(page) {
+            // Language folders live inside the default language's dist/
+            return lang !== defaultLang || languages.indexOf(page.split('/')[0]) === -1;
+        });
+    });
+    return inventory;
+}
+
+// ===========================================
+// HEAD TAGS
+// ===========================================
+
+/**
+ * Replace the language tags of a page's <head>
+ * @param {string} html - Page HTML
+ * @param {Object} page - { lang, canonical, alternates: [{hreflang, href}], ogLocale, ogAlternates }
+ * @returns {string} Updated HTML
+ */
+function patchHead(html, page) {
+    html = html.replace(/<html\b([^>]*)>/i, function(match, attributes) {
+        var rest = attributes.replace(/\s+lang="[^"]*"/i, '');
+        return '<html lang="' + page.lang + '"' + rest + '>';
+    });
+
+    // Drop what a previous run or the source page put there
+    html = html.replace(/[ \t]*<link\s+rel="alternate"\s+hreflang="[^"]*"[^>]*>\r?\n?/gi, '');
+    html = html.replace(/[ \t]*<meta\s+property="og:locale(:alternate)?"[^>]*>\r?\n?/gi, '');
+
+    var canonical = /([ \t]*)<link\s+rel="canonical"[^>]*>/i.exec(html);
+    var indent = canonical ? canonical[1] : '    ';
+    var links = [indent + '<link rel="canonical" href="' + page.canonical + '">'].concat(page.alternates.map(function(alternate) {
+        return indent + '<link rel="alternate" hreflang="' + alternate.hreflang + '" href="' + alternate.href + '">';
+    })).join('\n');
+
+    html = canonical
+        ? html.replace(canonical[0], links)
+        : html.replace(/([ \t]*)<\/head>/i, links + '\n$1</head>');
+
+    var ogTags = [indent + '<meta property="og:locale" content="' + page.ogLocale + '">'].concat(page.ogAlternates.map(function(locale) {
+        return indent + '<meta property="og:locale:alternate" content="' + locale + '">';
+    })).join('\n');
+
+    var ogUrl = /([ \t]*)<meta\s+property="og:url"[^>]*>/i.exec(html);
+    if (ogUrl) {
+        return html.replace(ogUrl[0], ogUrl[1] + '<meta property="og:url" content="' + page.canonical + '">\n' + ogTags);
+    }
+    return html.replace(/([ \t]*)<\/head>/i, ogTags + '\n$1</head>');
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+function main() {
+    var config = JSON.parse(fs.readFileSync(site.CONFIG_PATH, 'utf-8'));
+    var i18n = site.getLanguages();
+    var languages = i18n.languages;
+    var defaultLang = i18n.defaultLang;
+    var inventory = getInventory(languages, defaultLang);
+
+    var pages = [];
+    languages.forEach(function(lang) {
+        inventory[lang].forEach(function(page) {
+            if (pages.indexOf(page) === -1) pages.push(page);
+        });
+    });
+
+    var totalUpdated = 0;
+    var totalWarnings = 0;
+
+    pages.sort().forEach(function(page) {
+        var available = languages.filter(function(lang) { return inventory[lang].indexOf(page) !== -1; });
+        var missing = languages.filter(function(lang) { return available.indexOf(lang) === -1; });
+
+        if (missing.length > 0) {
+            console.warn('  Warning: ' + page + ' is missing in: ' + missing.join(', '));
+            totalWarnings++;
+        }
+
+        var alternates = available.map(function(lang) {
+            return { hreflang: lang, href: site.getPageUrl(page, lang, config, defaultLang) };
+        });
+        if (available.indexOf(defaultLang) !== -1) {
+            alternates.push({ hreflang: 'x-default', href: site.getPageUrl(page, defaultLang, config, defaultLang) });
+        }
+
+        available.forEach(function(lang) {
+            var htmlPath = lang === defaultLang ? path.join(DIST_DIR, page) : path.join(DIST_DIR, lang, page);
+            var html = fs.readFileSync(htmlPath, 'utf-8');
+            var updated = patchHead(html, {
+                lang: lang,
+                canonical: site.getPageUrl(page, lang, config, defaultLang),
+                alternates: alternates,
+                ogLocale: getOgLocale(lang),
+                ogAlternates: available.filter(function(other) { return other !== lang; }).map(getOgLocale)
+            });
+
+            if (updated !== html) {
+                fs.writeFileSync(htmlPath, updated, 'utf-8');
+                totalUpdated++;
+            }
+        });
+    });
+
+    console.log('patch-head: ' + totalUpdated + ' file(s) updated, ' + pages.length + ' page(s) in ' +
+        languages.length + ' language(s)' + (totalWarnings ? ', ' + totalWarnings + ' incomplete' : ''));
+}
+
+main();
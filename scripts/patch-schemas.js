@@ -3,159 +3,586 @@
  * Post-build script: patches JSON-LD schemas in translated pages.
  *
  * static-i18n cannot translate content inside <script> tags, so JSON-LD
- * schemas remain in English after the i18n build. This script replaces
- * them with translated versions from schemas/<lang>/ files.
+ * schemas remain in English after the i18n build. This script translates
+ * them in two steps.
  *
- * Schema files mirror the dist/ structure:
- *   schemas/fr/index.json         -> dist/fr/index.html
- *   schemas/fr/blog/article.json  -> dist/fr/blog/article.html
+ * 1. Hand-written schemas: merges translated fields from schemas/<lang>/
+ *    files into the page's JSON-LD. Schema files mirror the dist/ structure:
+ *      schemas/fr/index.json         -> dist/fr/index.html
+ *      schemas/fr/blog/article.json  -> dist/fr/blog/article.html
+ *    Each schema file is a JSON array of JSON-LD nodes (or @graph wrappers)
+ *    holding only what differs from English. A node is matched to a page
+ *    node by @id, then by @type, across all of the page's JSON-LD blocks,
+ *    and deep-merged into it (see mergeInto()), so URLs, prices and logos
+ *    need not be copied.
  *
- * Each schema file is a JSON array of JSON-LD objects. They are matched
- * to existing <script type="application/ld+json"> blocks by @type.
+ * 2. Generated from locales: schemas/templates/<page>.json names the
+ *    locale keys a page already shows with data-t, per JSON-LD @type, and
+ *    the nodes are filled from locales/<lang>.json for every language
+ *    (English included), so on-page text and structured data cannot drift:
+ *      {
+ *        "Article": { "headline": "meta.x.ogTitle", "description": "meta.x.description" },
+ *        "FAQPage": { "questions": [{ "name": "x.faq.q1", "answer": "x.faq.a1" }] },
+ *        "BreadcrumbList": { "names": ["footer.home", "footer.pricing"] }
+ *      }
+ *    "questions" becomes the FAQPage mainEntity; "names" are the breadcrumb
+ *    names in order (their URLs get the language folder); any other
+ *    property is set to the translated string. A missing key or node fails
+ *    the build.
  *
- * Usage: node scripts/patch-schemas.js
+ * Afterwards it reports translation coverage for every language × page:
+ * which JSON-LD nodes were patched or generated, which are still English,
+ * and which schema files or entries matched no page or node. Blog posts
+ * count as generated: build-blog.js writes their JSON-LD per language.
+ *
+ * A schema file that is not valid JSON, or cannot be applied to its page,
+ * fails the build.
+ *
+ * Usage: node scripts/patch-schemas.js [--strict] [--json]
+ *   --strict  Exit 1 when any node is still English or a schema is unused
+ *   --json    Print the coverage report as JSON on stdout (logs go to stderr)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { getPosts } = require('./lib/posts');
+const { LOCALES_DIR, loadLocale, translate } = require('./lib/i18n');
 
 const DIST_DIR = path.join(__dirname, '..', 'dist');
 const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+const TEMPLATES_DIR = path.join(SCHEMAS_DIR, 'templates');
+const DEFAULT_LANG = 'en';
+const SITE_URL = 'https://integrationnode.com/gmail-odoo/';
+
+// "Q: ", "Q : ", "F: " ... prefixes of on-page FAQ questions
+const QUESTION_PREFIX = /^\p{Lu}\s?:\s*/u;
+
+const args = process.argv.slice(2);
+const STRICT = args.indexOf('--strict') !== -1;
+const JSON_OUTPUT = args.indexOf('--json') !== -1;
+
+// Keep stdout for the JSON report
+const log = JSON_OUTPUT ? console.error : console.log;
+
+/**
+ * Languages built into dist/<lang>/ (every locale except the default)
+ */
+function getBuildLanguages() {
+    return fs.readdirSync(LOCALES_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.replace(/\.json$/, ''))
+        .filter(lang => lang !== DEFAULT_LANG)
+        .sort();
+}
 
 function getLanguages() {
     if (!fs.existsSync(SCHEMAS_DIR)) return [];
     return fs.readdirSync(SCHEMAS_DIR)
+        .filter(f => f !== path.basename(TEMPLATES_DIR))
         .filter(f => fs.statSync(path.join(SCHEMAS_DIR, f)).isDirectory());
 }
 
-function getSchemaFiles(dir, prefix) {
+function listFiles(dir, extension, prefix) {
     prefix = prefix || '';
     const files = [];
     for (const entry of fs.readdirSync(dir)) {
         const fullPath = path.join(dir, entry);
         const relPath = prefix ? prefix + '/' + entry : entry;
         if (fs.statSync(fullPath).isDirectory()) {
-            files.push.apply(files, getSchemaFiles(fullPath, relPath));
-        } else if (entry.endsWith('.json')) {
+            files.push.apply(files, listFiles(fullPath, extension, relPath));
+        } else if (entry.endsWith(extension)) {
             files.push(relPath);
         }
     }
     return files;
 }
 
+function getSchemaFiles(dir) {
+    return fs.existsSync(dir) ? listFiles(dir, '.json') : [];
+}
+
+function getHtmlFiles(dir) {
+    return fs.existsSync(dir) ? listFiles(dir, '.html') : [];
+}
+
+/**
+ * JSON-LD <script> blocks of a page. The type may be quoted either way or
+ * not at all, and the tag may carry other attributes (id, nonce...).
+ */
 function extractJsonLdBlocks(html) {
-    var regex = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/g;
+    var regex = /(<script\b[^>]*\btype\s*=\s*["']?application\/ld\+json["']?[^>]*>)([\s\S]*?)<\/script\s*>/gi;
     var blocks = [];
     var match;
     while ((match = regex.exec(html)) !== null) {
         blocks.push({
             fullMatch: match[0],
-            content: match[1],
+            openTag: match[1],
+            content: match[2],
             index: match.index
         });
     }
     return blocks;
 }
 
-function getSchemaType(jsonStr) {
-    try {
-        return JSON.parse(jsonStr)['@type'];
-    } catch (e) {
-        return null;
-    }
+/**
+ * Serialize a JSON-LD object as a <script> block, keeping the original tag
+ */
+function renderBlock(schema, openTag) {
+    var json = JSON.stringify(schema, null, 4);
+    // Indent to match HTML context (4 spaces)
+    var indented = '\n    ' + json.split('\n').join('\n    ') + '\n    ';
+    return openTag + indented + '</script>';
 }
 
-function patchFile(htmlPath, schemas) {
-    if (!fs.existsSync(htmlPath)) {
-        console.warn('  Skip: ' + htmlPath + ' not found');
-        return false;
+/**
+ * Read a page and parse its JSON-LD blocks (invalid ones are left alone;
+ * validate-schemas.js reports them)
+ */
+function readPage(htmlPath) {
+    var html = fs.readFileSync(htmlPath, 'utf-8');
+    var blocks = extractJsonLdBlocks(html).filter(function(block) {
+        try {
+            block.parsed = JSON.parse(block.content);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    });
+    return { path: htmlPath, html: html, blocks: blocks };
+}
+
+/**
+ * Write back the blocks marked as changed
+ */
+function writePage(page) {
+    var html = page.html;
+    var changed = false;
+
+    // Replace from end to preserve indices
+    for (var i = page.blocks.length - 1; i >= 0; i--) {
+        var block = page.blocks[i];
+        if (!block.changed) continue;
+        html = html.substring(0, block.index) + renderBlock(block.parsed, block.openTag) +
+            html.substring(block.index + block.fullMatch.length);
+        changed = true;
     }
 
-    var html = fs.readFileSync(htmlPath, 'utf-8');
-    var blocks = extractJsonLdBlocks(html);
+    if (changed) {
+        fs.writeFileSync(page.path, html, 'utf-8');
+    }
+}
+
+/**
+ * Nodes of a JSON-LD block: the @graph entries, or the block itself
+ */
+function getNodes(parsed) {
+    return parsed['@graph'] || [parsed];
+}
+
+function getNodeType(node) {
+    return [].concat(node['@type'] || 'unknown').join(', ');
+}
 
-    // Separate @graph schemas from @type schemas
-    var graphSchema = null;
-    var schemaMap = {};
+// ===========================================
+// HAND-WRITTEN SCHEMAS
+// ===========================================
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge translated values into a node. Objects are merged key by key.
+ * Arrays of objects are merged item by item, matched by @id when the item
+ * has one and by position otherwise; other arrays (keywords...) and plain
+ * values are replaced.
+ */
+function mergeInto(target, source) {
+    Object.keys(source).forEach(function(key) {
+        var value = source[key];
+
+        if (isObject(value) && isObject(target[key])) {
+            mergeInto(target[key], value);
+        } else if (Array.isArray(value) && Array.isArray(target[key]) && value.every(isObject)) {
+            var items = target[key];
+            value.forEach(function(item, i) {
+                var match = item['@id']
+                    ? items.filter(function(candidate) { return candidate['@id'] === item['@id']; })[0]
+                    : items[i];
+                if (isObject(match)) {
+                    mergeInto(match, item);
+                } else if (item['@id']) {
+                    items.push(item);
+                } else {
+                    items[i] = item;
+                }
+            });
+        } else {
+            target[key] = value;
+        }
+    });
+}
+
+/**
+ * Translated nodes of a schema file: the @graph entries or the objects
+ * themselves, without their @context
+ */
+function getSchemaNodes(schemas) {
+    var nodes = [];
     schemas.forEach(function(schema) {
-        if (schema['@graph']) {
-            graphSchema = schema;
-        } else if (schema['@type']) {
-            schemaMap[schema['@type']] = schema;
+        getNodes(schema).forEach(function(node) {
+            var copy = Object.assign({}, node);
+            delete copy['@context'];
+            nodes.push(copy);
+        });
+    });
+    return nodes;
+}
+
+/**
+ * Merge translated nodes into the JSON-LD nodes of a page. Each one goes to
+ * the node with the same @id, or else to the first node of its @type that
+ * no other translation took, so a page may have several nodes of a type.
+ * @param {string} htmlPath - dist/<lang>/ page
+ * @param {Array<Object>} schemas - Translated JSON-LD objects or @graph wrappers
+ * @returns {{patched: Array<string>, unused: Array<string>}}
+ *   Node types that were patched and the translations that matched no node
+ */
+function patchFile(htmlPath, schemas) {
+    var page = readPage(htmlPath);
+    var report = { patched: [], unused: [] };
+    var taken = new Set();
+
+    var targets = [];
+    page.blocks.forEach(function(block) {
+        getNodes(block.parsed).forEach(function(node) {
+            targets.push({ node: node, block: block });
+        });
+    });
+
+    var matches = new Map();
+    var translations = getSchemaNodes(schemas);
+
+    // @id matches first, so a node without @id cannot take their target
+    translations.forEach(function(translated) {
+        var target = targets.filter(function(candidate) {
+            return translated['@id'] && candidate.node['@id'] === translated['@id'];
+        })[0];
+        if (target) {
+            matches.set(translated, target);
+            taken.add(target);
+        }
+    });
+    translations.forEach(function(translated) {
+        if (matches.has(translated)) return;
+        var target = targets.filter(function(candidate) {
+            return !taken.has(candidate) && getNodeType(candidate.node) === getNodeType(translated);
+        })[0];
+        if (target) {
+            matches.set(translated, target);
+            taken.add(target);
         }
     });
 
-    var patched = false;
+    translations.forEach(function(translated) {
+        var target = matches.get(translated);
+        if (!target) {
+            report.unused.push(translated['@id'] || getNodeType(translated));
+            return;
+        }
 
-    // Replace from end to preserve indices
-    for (var i = blocks.length - 1; i >= 0; i--) {
-        var block = blocks[i];
-        var parsed;
-        try { parsed = JSON.parse(block.content); } catch (e) { continue; }
+        mergeInto(target.node, translated);
+        target.block.changed = true;
+        report.patched.push(getNodeType(target.node));
+    });
+
+    writePage(page);
+    return report;
+}
+
+// ===========================================
+// GENERATED FROM LOCALES
+// ===========================================
 
-        var replacement = null;
+/**
+ * Point a site URL at the language folder (https://…/gmail-odoo/fr/…)
+ */
+function localizeUrl(url, lang) {
+    if (lang === DEFAULT_LANG || typeof url !== 'string' || url.indexOf(SITE_URL) !== 0) return url;
+
+    var rest = url.slice(SITE_URL.length);
+    if (rest.indexOf(lang + '/') === 0) return url;
+    return SITE_URL + lang + '/' + rest;
+}
 
-        if (parsed['@graph'] && graphSchema) {
-            // Match @graph blocks
-            replacement = graphSchema;
+/**
+ * Fill one JSON-LD node from its template entry
+ * @throws {Error} When a key is missing or the breadcrumb lengths differ
+ */
+function applyTemplate(node, entry, locale, lang) {
+    Object.keys(entry).forEach(function(prop) {
+        if (prop === 'questions') {
+            node.mainEntity = entry.questions.map(function(question) {
+                return {
+                    '@type': 'Question',
+                    name: translate(locale, question.name).replace(QUESTION_PREFIX, ''),
+                    acceptedAnswer: {
+                        '@type': 'Answer',
+                        text: translate(locale, question.answer)
+                    }
+                };
+            });
+        } else if (prop === 'names') {
+            var items = node.itemListElement || [];
+            if (items.length !== entry.names.length) {
+                throw new Error('has ' + items.length + ' item(s), the template names ' + entry.names.length);
+            }
+            items.forEach(function(item, i) {
+                item.name = translate(locale, entry.names[i]);
+                item.item = localizeUrl(item.item, lang);
+            });
         } else {
-            // Match by @type
-            var type = parsed['@type'];
-            if (type && schemaMap[type]) {
-                replacement = schemaMap[type];
+            node[prop] = translate(locale, entry[prop]);
+        }
+    });
+
+    if (node.inLanguage !== undefined) {
+        node.inLanguage = lang;
+    }
+}
+
+/**
+ * Fill the JSON-LD nodes of a page named in its template
+ * @param {string} htmlPath - dist/ page
+ * @param {Object} template - Locale keys per @type
+ * @param {Object} locale - Parsed locales/<lang>.json
+ * @param {string} lang - Language code
+ * @returns {{generated: Array<string>, errors: Array<string>}}
+ */
+function generateFile(htmlPath, template, locale, lang) {
+    var page = readPage(htmlPath);
+    var report = { generated: [], errors: [] };
+
+    page.blocks.forEach(function(block) {
+        getNodes(block.parsed).forEach(function(node) {
+            var type = getNodeType(node);
+            if (!template[type]) return;
+
+            try {
+                applyTemplate(node, template[type], locale, lang);
+                report.generated.push(type);
+                block.changed = true;
+            } catch (err) {
+                report.errors.push(type + ' ' + err.message);
             }
+        });
+    });
+
+    Object.keys(template).forEach(function(type) {
+        if (report.generated.indexOf(type) === -1 && !report.errors.some(e => e.indexOf(type + ' ') === 0)) {
+            report.errors.push('no ' + type + ' node on the page');
         }
+    });
+
+    writePage(page);
+    return report;
+}
+
+// ===========================================
+// COVERAGE REPORT
+// ===========================================
+
+/**
+ * Node types of every JSON-LD block on a page
+ */
+function getPageNodeTypes(htmlPath) {
+    var types = [];
+    readPage(htmlPath).blocks.forEach(function(block) {
+        types = types.concat(getNodes(block.parsed).map(getNodeType));
+    });
+    return types;
+}
+
+/**
+ * Summarize a language: totals and whether it has gaps
+ */
+function summarize(langReport) {
+    var counts = { patched: 0, generated: 0, english: 0 };
+    Object.keys(langReport.pages).forEach(function(page) {
+        Object.keys(counts).forEach(function(status) {
+            counts[status] += langReport.pages[page][status].length;
+        });
+    });
+    Object.assign(langReport, counts);
+    langReport.complete = counts.english === 0 && langReport.orphanSchemas.length === 0 &&
+        langReport.unusedSchemas.length === 0;
+}
+
+function printReport(report) {
+    log('patch-schemas: JSON-LD translation coverage');
+
+    report.languages.forEach(function(lang) {
+        var langReport = report.coverage[lang];
+        var translated = langReport.patched + langReport.generated;
+        log('  ' + lang + ': ' + translated + '/' + (translated + langReport.english) + ' node(s) translated' +
+            ' (' + langReport.patched + ' from schemas/' + lang + ', ' + langReport.generated + ' generated)' +
+            (langReport.complete ? '' : ', gaps:'));
+
+        Object.keys(langReport.pages).forEach(function(page) {
+            var pageReport = langReport.pages[page];
+            if (pageReport.english.length === 0) return;
+            log('    English: ' + lang + '/' + page + ': ' + pageReport.english.join('; '));
+        });
+        langReport.orphanSchemas.forEach(function(file) {
+            log('    No page: schemas/' + lang + '/' + file);
+        });
+        langReport.unusedSchemas.forEach(function(entry) {
+            log('    Unused: schemas/' + lang + '/' + entry.file + ': ' + entry.label + ' matches no block');
+        });
+    });
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+/**
+ * Generate the templated nodes of every page for one language
+ * @returns {Object} Generated node types per page
+ */
+function generateLanguage(lang, templates, errors) {
+    var locale = loadLocale(lang);
+    var langDir = lang === DEFAULT_LANG ? DIST_DIR : path.join(DIST_DIR, lang);
+    var generated = {};
 
-        if (replacement) {
-            var json = JSON.stringify(replacement, null, 4);
-            // Indent to match HTML context (4 spaces)
-            var indented = '\n    ' + json.split('\n').join('\n    ') + '\n    ';
-            var newBlock = '<script type="application/ld+json">' + indented + '</script>';
-            html = html.substring(0, block.index) + newBlock + html.substring(block.index + block.fullMatch.length);
-            patched = true;
+    Object.keys(templates).forEach(function(page) {
+        var htmlPath = path.join(langDir, page);
+        if (!fs.existsSync(htmlPath)) {
+            errors.push(lang + ': schemas/templates/' + page.replace(/\.html$/, '.json') + ' has no page');
+            return;
         }
-    }
 
-    if (patched) {
-        fs.writeFileSync(htmlPath, html, 'utf-8');
-    }
-    return patched;
+        var result = generateFile(htmlPath, templates[page], locale, lang);
+        generated[page] = result.generated;
+        result.errors.forEach(function(message) {
+            errors.push(lang + '/' + page + ': ' + message);
+        });
+    });
+
+    return generated;
 }
 
 function main() {
-    var languages = getLanguages();
-    if (languages.length === 0) {
-        console.log('patch-schemas: No translations found in schemas/');
-        return;
-    }
-
-    console.log('patch-schemas: Found translations for: ' + languages.join(', '));
+    var languages = getBuildLanguages();
+    var translated = getLanguages();
+    var report = { strict: STRICT, languages: languages, coverage: {} };
     var totalPatched = 0;
+    var totalErrors = 0;
+    var generateErrors = [];
+    var postPages = getPosts().map(post => post.page);
+
+    var templates = {};
+    getSchemaFiles(TEMPLATES_DIR).forEach(function(file) {
+        templates[file.replace(/\.json$/, '.html')] = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf-8'));
+    });
+
+    log('patch-schemas: Found translations for: ' + (translated.length ? translated.join(', ') : 'none'));
+
+    generateLanguage(DEFAULT_LANG, templates, generateErrors);
 
     languages.forEach(function(lang) {
         var langDir = path.join(SCHEMAS_DIR, lang);
         var schemaFiles = getSchemaFiles(langDir);
+        var langReport = { pages: {}, orphanSchemas: [], unusedSchemas: [] };
+        var patchedPages = {};
 
         schemaFiles.forEach(function(schemaFile) {
             var schemaPath = path.join(langDir, schemaFile);
             var htmlRel = schemaFile.replace(/\.json$/, '.html');
             var htmlPath = path.join(DIST_DIR, lang, htmlRel);
 
+            if (!fs.existsSync(htmlPath)) {
+                langReport.orphanSchemas.push(schemaFile);
+                return;
+            }
+
             try {
                 var schemas = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
                 if (!Array.isArray(schemas)) schemas = [schemas];
 
-                if (patchFile(htmlPath, schemas)) {
-                    console.log('  Patched: ' + lang + '/' + htmlRel);
+                var result = patchFile(htmlPath, schemas);
+                patchedPages[htmlRel] = result.patched;
+                result.unused.forEach(function(label) {
+                    langReport.unusedSchemas.push({ file: schemaFile, label: label });
+                });
+
+                if (result.patched.length > 0) {
+                    log('  Patched: ' + lang + '/' + htmlRel);
                     totalPatched++;
                 }
             } catch (err) {
                 console.error('  Error: ' + lang + '/' + schemaFile + ': ' + err.message);
+                totalErrors++;
             }
         });
+
+        // Templates run after the hand-written schemas so locale text wins
+        var generatedPages = generateLanguage(lang, templates, generateErrors);
+        postPages.forEach(function(page) {
+            var postPath = path.join(DIST_DIR, lang, page);
+            if (fs.existsSync(postPath)) generatedPages[page] = getPageNodeTypes(postPath);
+        });
+
+        // Every page of the language build, including those without a schema file
+        getHtmlFiles(path.join(DIST_DIR, lang)).forEach(function(page) {
+            var types = getPageNodeTypes(path.join(DIST_DIR, lang, page));
+            if (types.length === 0) return;
+
+            // Generated nodes overwrite what a schema file put there
+            var generated = generatedPages[page] || [];
+            var patched = (patchedPages[page] || []).filter(type => generated.indexOf(type) === -1);
+
+            langReport.pages[page] = {
+                patched: patched,
+                generated: generated,
+                english: types.filter(type => patched.indexOf(type) === -1 && generated.indexOf(type) === -1)
+            };
+        });
+
+        summarize(langReport);
+        report.coverage[lang] = langReport;
     });
 
-    console.log('patch-schemas: ' + totalPatched + ' file(s) patched');
+    log('patch-schemas: ' + totalPatched + ' file(s) patched, ' + Object.keys(templates).length +
+        ' template(s) generated for ' + (languages.length + 1) + ' language(s)');
+
+    report.errors = totalErrors;
+    report.complete = totalErrors === 0 &&
+        languages.every(function(lang) { return report.coverage[lang].complete; });
+
+    if (JSON_OUTPUT) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    if (totalErrors > 0) {
+        console.error('patch-schemas: ' + totalErrors + ' schema file(s) could not be read or applied');
+        process.exit(1);
+    }
+
+    if (generateErrors.length > 0) {
+        generateErrors.forEach(function(message) {
+            console.error('  Error: ' + message);
+        });
+        console.error('patch-schemas: ' + generateErrors.length + ' error(s) generating JSON-LD from locales');
+        process.exit(1);
+    }
+
+    if (STRICT && !report.complete) {
+        console.error('patch-schemas: JSON-LD translations incomplete (--strict)');
+        process.exit(1);
+    }
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/**
+ * Post-build script: fills in prices from assets/data/pricing.json.
+ *
+ * The pricing config is the single source of truth for plan prices. It is
+ * read at runtime by regional-pricing.js and here at build time, so pages
+ * show correct prices before (or without) JavaScript and search engines
+ * see the same numbers in JSON-LD.
+ *
+ * For every dist/**\/*.html page this script:
+ *   - copies the config into <script type="application/json"
+ *     id="pricing-config">, which regional-pricing.js reads instead of
+ *     fetching it (a page with prices must have one)
+ *   - fills empty [data-plan][data-price] elements with the default price,
+ *     formatted for the page <html lang> like the runtime does
+ *   - fills Offer entries (matched by "@id") with price, priceCurrency and
+ *     priceValidUntil, and AggregateOffer entries with lowPrice, highPrice,
+ *     priceCurrency and offerCount
+ *
+ * The build fails if a page disagrees with the config: a hand-typed price
+ * that differs, an Offer with a missing or unknown "@id", or an unknown
+ * plan or price key.
+ *
+ * Usage: node scripts/sync-pricing.js
+ *
+ * getPlanPrices() and getPrice() are exported for validate-schemas.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+const CONFIG_PATH = path.join(__dirname, '..', 'assets', 'data', 'pricing.json');
+
+// Pages render the default billing period until the visitor switches
+const DEFAULT_PERIOD = 'monthly';
+
+function getHtmlFiles(dir, prefix) {
+    prefix = prefix || '';
+    const files = [];
+    for (const entry of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, entry);
+        const relPath = prefix ? prefix + '/' + entry : entry;
+        if (fs.statSync(fullPath).isDirectory()) {
+            files.push.apply(files, getHtmlFiles(fullPath, relPath));
+        } else if (entry.endsWith('.html')) {
+            files.push(relPath);
+        }
+    }
+    return files;
+}
+
+// ===========================================
+// PRICES
+// ===========================================
+
+/**
+ * Round a USD amount to cents (mirrors convertPrice() in regional-pricing.js)
+ * @param {number} usd - Amount in USD
+ * @returns {number}
+ */
+function roundPrice(usd) {
+    return parseFloat(usd.toFixed(2));
+}
+
+/**
+ * Default (undiscounted USD) prices of a plan, keyed by data-price values.
+ * Mirrors calculatePlusPrices()/calculateTeamPrices() and addPeriodPrices()
+ * in regional-pricing.js.
+ * @param {Object} plan - Plan from pricing.json
+ * @returns {Object} Prices keyed by data-price attribute values
+ */
+function getPlanPrices(plan) {
+    var base = plan.monthlyPrice !== undefined ? plan.monthlyPrice : plan.pricePerUser;
+    var keys = plan.periodPrices;
+    var prices = {};
+
+    prices[keys.monthly] = roundPrice(base);
+    if (plan.annualDiscount !== undefined) {
+        prices[keys.annual] = roundPrice(base * 12 * plan.annualDiscount);
+    }
+
+    var other = DEFAULT_PERIOD === 'monthly' ? 'annual' : 'monthly';
+    prices.current = prices[keys[DEFAULT_PERIOD]];
+    prices.alternate = prices[keys[other]];
+    return prices;
+}
+
+/**
+ * Resolve the price of a plan/price key pair
+ * @param {Object} prices - Prices of every plan, from getPlanPrices()
+ * @param {string} planId - Plan identifier
+ * @param {string} priceKey - data-price value
+ * @returns {number} Price in USD
+ * @throws {Error} When the plan or price key is unknown
+ */
+function getPrice(prices, planId, priceKey) {
+    if (!prices[planId]) {
+        throw new Error('unknown plan "' + planId + '"');
+    }
+    var price = prices[planId][priceKey];
+    if (price === undefined) {
+        throw new Error('unknown price "' + priceKey + '" for plan "' + planId + '"');
+    }
+    return price;
+}
+
+// ===========================================
+// HTML DEFAULT PRICES
+// ===========================================
+
+/**
+ * Format a price for a data-price-format, like updatePlanPrices() does
+ * @param {number} amount - Price
+ * @param {string} currencyCode - ISO 4217 code
+ * @param {string} locale - Page locale
+ * @param {string} format - "large", "currency" or "text"
+ * @returns {string} HTML or text content
+ */
+function formatPrice(amount, currencyCode, locale, format) {
+    var digits = amount % 1 === 0 ? 0 : 2;
+    var formatter = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: currencyCode,
+        currencyDisplay: 'narrowSymbol',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    });
+
+    if (format === 'currency') {
+        return formatter.format(amount);
+    }
+
+    var integer = '';
+    var decimal = '';
+    var cents = '';
+    formatter.formatToParts(amount).forEach(function(part) {
+        if (part.type === 'integer' || part.type === 'group') {
+            integer += part.value;
+        } else if (part.type === 'decimal') {
+            decimal = part.value;
+        } else if (part.type === 'fraction') {
+            cents = part.value;
+        }
+    });
+
+    if (!cents) return integer;
+    if (format === 'large') {
+        return integer + '<span class="cents">' + cents + '</span>';
+    }
+    return integer + decimal + cents;
+}
+
+function getAttribute(tag, name) {
+    var match = tag.match(new RegExp('\\s' + name + '(?:="([^"]*)")?[\\s>]'));
+    if (!match) return null;
+    return match[1] || '';
+}
+
+/**
+ * Fill [data-plan][data-price] elements with their default price.
+ * Elements showing the price before a coupon (data-price-original) are
+ * left empty; they are only shown once a coupon is applied.
+ * @returns {string} Updated HTML
+ */
+function fillHtmlPrices(html, config, prices, errors) {
+    var langMatch = html.match(/<html[^>]*\slang="([^"]+)"/);
+    var locale = langMatch ? langMatch[1] : 'en';
+    var regex = /(<(\w+)\s[^>]*data-price="[^"]*"[^>]*>)((?:[^<]|<span class="cents">[^<]*<\/span>)*)(<\/\2>)/g;
+
+    return html.replace(regex, function(match, openTag, tagName, content, closeTag) {
+        var planId = getAttribute(openTag, 'data-plan');
+        if (planId === null || getAttribute(openTag, 'data-price-original') !== null) {
+            return match;
+        }
+
+        var priceKey = getAttribute(openTag, 'data-price');
+        var format = getAttribute(openTag, 'data-price-format') || 'text';
+        var expected;
+        try {
+            var price = getPrice(prices, planId, priceKey);
+            expected = formatPrice(price, config.currency, locale, format);
+        } catch (err) {
+            errors.push(err.message);
+            return match;
+        }
+
+        if (content.trim() && content.trim() !== expected) {
+            errors.push(planId + '/' + priceKey + ' shows "' + content.trim() + '", config says "' + expected + '"');
+            return match;
+        }
+        return openTag + expected + closeTag;
+    });
+}
+
+// ===========================================
+// INLINE CONFIG
+// ===========================================
+
+/**
+ * Copy the config into the page's <script id="pricing-config">
+ * @returns {string} Updated HTML
+ */
+function fillInlineConfig(html, config, errors) {
+    var regex = /(<script\b[^>]*\bid="pricing-config"[^>]*>)[\s\S]*?(<\/script>)/;
+    if (!regex.test(html)) {
+        if (/\sdata-plan="/.test(html)) {
+            errors.push('prices without a <script type="application/json" id="pricing-config">');
+        }
+        return html;
+    }
+
+    // "<" escaped so the JSON can never close the script element
+    var json = JSON.stringify(config).replace(/</g, '\\u003c');
+    return html.replace(regex, function(match, openTag, closeTag) {
+        return openTag + json + closeTag;
+    });
+}
+
+// ===========================================
+// JSON-LD OFFERS
+// ===========================================
+
+/**
+ * Set a JSON-LD property, recording an error when a different value was typed by hand
+ */
+function setValue(node, key, value, errors) {
+    if (node[key] !== undefined && String(node[key]) !== String(value)) {
+        errors.push(node['@id'] + ' has ' + key + ' "' + node[key] + '", config says "' + value + '"');
+        return;
+    }
+    node[key] = value;
+}
+
+function fillOffer(node, offers, config, prices, errors) {
+    var offer = offers[node['@id']];
+    if (!offer) {
+        errors.push('Offer ' + (node['@id'] ? '"' + node['@id'] + '" is not in pricing.json' : 'without "@id"') +
+            (node.name ? ' (' + node.name + ')' : ''));
+        return;
+    }
+
+    try {
+        setValue(node, 'price', getPrice(prices, offer.plan, offer.price).toString(), errors);
+    } catch (err) {
+        errors.push(offer.id + ': ' + err.message);
+        return;
+    }
+    setValue(node, 'priceCurrency', config.currency, errors);
+    setValue(node, 'priceValidUntil', config.priceValidUntil, errors);
+}
+
+function fillAggregateOffer(node, aggregates, offers, config, prices, errors) {
+    var aggregate = aggregates[node['@id']];
+    if (!aggregate) {
+        errors.push('AggregateOffer ' + (node['@id'] ? '"' + node['@id'] + '" is not in pricing.json' : 'without "@id"'));
+        return;
+    }
+
+    var values = [];
+    for (var i = 0; i < aggregate.offers.length; i++) {
+        var offer = offers[aggregate.offers[i]];
+        if (!offer) {
+            errors.push(aggregate.id + ' lists unknown offer "' + aggregate.offers[i] + '"');
+            return;
+        }
+        try {
+            values.push(getPrice(prices, offer.plan, offer.price));
+        } catch (err) {
+            errors.push(offer.id + ': ' + err.message);
+            return;
+        }
+    }
+
+    setValue(node, 'lowPrice', Math.min.apply(null, values).toString(), errors);
+    setValue(node, 'highPrice', Math.max.apply(null, values).toString(), errors);
+    setValue(node, 'priceCurrency', config.currency, errors);
+    setValue(node, 'offerCount', values.length.toString(), errors);
+}
+
+/**
+ * Walk a JSON-LD value and fill every Offer and AggregateOffer in it
+ */
+function fillOffers(node, context) {
+    if (Array.isArray(node)) {
+        node.forEach(function(item) { fillOffers(item, context); });
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    if (node['@type'] === 'Offer') {
+        fillOffer(node, context.offers, context.config, context.prices, context.errors);
+    } else if (node['@type'] === 'AggregateOffer') {
+        fillAggregateOffer(node, context.aggregates, context.offers, context.config, context.prices, context.errors);
+    }
+
+    Object.keys(node).forEach(function(key) {
+        fillOffers(node[key], context);
+    });
+}
+
+/**
+ * Fill the offers of every JSON-LD block that contains one
+ * @returns {string} Updated HTML
+ */
+function fillJsonLdOffers(html, context) {
+    // Same matching as extractJsonLdBlocks() in patch-schemas.js
+    var regex = /(<script\b[^>]*\btype\s*=\s*["']?application\/ld\+json["']?[^>]*>)([\s\S]*?)<\/script\s*>/gi;
+
+    return html.replace(regex, function(match, openTag, content) {
+        if (!/"(Aggregate)?Offer"/.test(content)) return match;
+
+        var parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (err) {
+            context.errors.push('Invalid JSON-LD: ' + err.message);
+            return match;
+        }
+
+        fillOffers(parsed, context);
+
+        var json = JSON.stringify(parsed, null, 4);
+        // Indent to match HTML context (4 spaces)
+        var indented = '\n    ' + json.split('\n').join('\n    ') + '\n    ';
+        return openTag + indented + '</script>';
+    });
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+function main() {
+    var config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+
+    var prices = {};
+    Object.keys(config.plans).forEach(function(planId) {
+        prices[planId] = getPlanPrices(config.plans[planId]);
+    });
+
+    var offers = {};
+    config.offers.forEach(function(offer) {
+        offers[offer.id] = offer;
+    });
+
+    var aggregates = {};
+    config.aggregateOffers.forEach(function(aggregate) {
+        aggregates[aggregate.id] = aggregate;
+    });
+
+    var files = getHtmlFiles(DIST_DIR);
+    var totalUpdated = 0;
+    var totalErrors = 0;
+
+    files.forEach(function(file) {
+        var htmlPath = path.join(DIST_DIR, file);
+        var html = fs.readFileSync(htmlPath, 'utf-8');
+        var errors = [];
+        var context = { config: config, prices: prices, offers: offers, aggregates: aggregates, errors: errors };
+
+        var updated = fillInlineConfig(html, config, errors);
+        updated = fillJsonLdOffers(fillHtmlPrices(updated, config, prices, errors), context);
+
+        errors.forEach(function(message) {
+            console.error('  Error: ' + file + ': ' + message);
+        });
+        totalErrors += errors.length;
+
+        if (updated !== html) {
+            fs.writeFileSync(htmlPath, updated, 'utf-8');
+            totalUpdated++;
+        }
+    });
+
+    console.log('sync-pricing: ' + totalUpdated + ' file(s) updated');
+
+    if (totalErrors > 0) {
+        console.error('sync-pricing: ' + totalErrors + ' mismatch(es) with assets/data/pricing.json');
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    CONFIG_PATH: CONFIG_PATH,
+    getPlanPrices: getPlanPrices,
+    getPrice: getPrice
+};
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * Updates assets/data/cws-stats.json from the Chrome Web Store badges on
+ * shields.io (run daily by .github/workflows/update-cws-stats.yml).
+ *
+ * - users is required; rating and ratingCount are optional and keep their
+ *   previous values when their badge cannot be fetched
+ * - shield-style values ("1.2k", "4.8/5", "12 total") become numbers
+ * - each request has a timeout and is retried with a growing delay
+ * - a user count that drops by more than --max-drop (default 50%) is
+ *   refused: shields.io sometimes answers with stale or partial data
+ * - one dated entry per day is kept in history (last HISTORY_LIMIT days),
+ *   which social-proof.js uses for the "+X this month" figure
+ * - the result is checked against the stats schema before it is written
+ *
+ * Exits 1 (leaving the file untouched) when the update is refused.
+ *
+ * Usage: node scripts/update-cws-stats.js [options]
+ *   --endpoint <url>   Badge API base URL (default: CWS_STATS_ENDPOINT or
+ *                      https://img.shields.io/chrome-web-store)
+ *   --file <path>      Stats file (default: assets/data/cws-stats.json)
+ *   --retries <n>      Attempts per badge (default: 3)
+ *   --timeout <ms>     Timeout per attempt (default: 10000)
+ *   --max-drop <0-1>   Largest accepted relative drop in users (default: 0.5)
+ *   --allow-drop       Accept any drop (e.g. after a real cleanup)
+ *   --dry-run          Print the new stats instead of writing them
+ *
+ * Offline: node scripts/cws-stats-stub.js starts a local badge server,
+ * then run this script with --endpoint http://localhost:8787
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSION_ID = 'hfnfieecjinfkhbhpoigfnnddpfoeomm';
+const DEFAULT_ENDPOINT = 'https://img.shields.io/chrome-web-store';
+const DEFAULT_FILE = path.join(__dirname, '..', 'assets', 'data', 'cws-stats.json');
+const HISTORY_LIMIT = 400;
+const RETRY_DELAY_MS = 1000;
+
+function parseArgs(argv) {
+    const options = {
+        endpoint: process.env.CWS_STATS_ENDPOINT || DEFAULT_ENDPOINT,
+        file: DEFAULT_FILE,
+        retries: 3,
+        timeout: 10000,
+        maxDrop: 0.5,
+        allowDrop: false,
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--endpoint') options.endpoint = argv[++i];
+        else if (arg === '--file') options.file = path.resolve(argv[++i]);
+        else if (arg === '--retries') options.retries = parseInt(argv[++i], 10);
+        else if (arg === '--timeout') options.timeout = parseInt(argv[++i], 10);
+        else if (arg === '--max-drop') options.maxDrop = parseFloat(argv[++i]);
+        else if (arg === '--allow-drop') options.allowDrop = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else throw new Error('Unknown option: ' + arg);
+    }
+
+    if (!(options.retries >= 1)) throw new Error('--retries must be at least 1');
+    if (!(options.timeout > 0)) throw new Error('--timeout must be a positive number of ms');
+    if (!(options.maxDrop >= 0 && options.maxDrop <= 1)) throw new Error('--max-drop must be between 0 and 1');
+
+    options.endpoint = options.endpoint.replace(/\/+$/, '');
+    return options;
+}
+
+// ===========================================
+// PARSING
+// ===========================================
+
+/**
+ * Parse a shield-style count: "84", "1,234", "1.2k", "1K", "3.4M", "12 total"
+ * @param {string|number} value - Badge value
+ * @returns {number} Integer count
+ * @throws {Error} When the value is not a count
+ */
+function parseCount(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return Math.round(value);
+
+    const match = /^\s*([\d.,]+)\s*([km]?)\b/i.exec(String(value));
+    if (!match) throw new Error('not a count: "' + value + '"');
+
+    const unit = match[2].toLowerCase();
+    const number = parseFloat(match[1].replace(/,/g, ''));
+    return Math.round(number * (unit === 'k' ? 1000 : unit === 'm' ? 1000000 : 1));
+}
+
+/**
+ * Parse a shield-style rating: "4.8/5", "4.5 / 5", "4"
+ * @param {string|number} value - Badge value
+ * @returns {number} Rating between 0 and 5
+ * @throws {Error} When the value is not a rating
+ */
+function parseRating(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)/.exec(String(value));
+    const rating = match ? parseFloat(match[1]) : NaN;
+    if (!(rating >= 0 && rating <= 5)) throw new Error('not a rating: "' + value + '"');
+    return rating;
+}
+
+// ===========================================
+// FETCHING
+// ===========================================
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch a badge's value, with a timeout per attempt and retries
+ * @param {string} url - shields.io JSON badge URL
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<string>} The badge value
+ */
+async function fetchBadgeValue(url, options) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= options.retries; attempt++) {
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(options.timeout) });
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+
+            const data = await response.json();
+            // shields.io answers errors with 200 and a message such as "not found"
+            if (data.value === undefined || data.value === null || /^(not found|invalid|inaccessible)/i.test(data.value)) {
+                const error = new Error('no value (' + (data.message || JSON.stringify(data)) + ')');
+                // A definite answer: asking again will not change it
+                error.permanent = true;
+                throw error;
+            }
+            return data.value;
+        } catch (err) {
+            lastError = err.name === 'TimeoutError' ? new Error('timed out after ' + options.timeout + 'ms') : err;
+            if (lastError.permanent) break;
+            console.warn('  Attempt ' + attempt + '/' + options.retries + ' for ' + url + ' failed: ' + lastError.message);
+            if (attempt < options.retries) await sleep(RETRY_DELAY_MS * attempt);
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Fetch and parse one badge; optional badges resolve to undefined on failure
+ */
+async function fetchStat(name, parse, options, required) {
+    const url = options.endpoint + '/' + name + '/' + EXTENSION_ID + '.json';
+    try {
+        return parse(await fetchBadgeValue(url, options));
+    } catch (err) {
+        if (required) throw new Error(name + ': ' + err.message);
+        console.warn('  Skipping ' + name + ': ' + err.message);
+        return undefined;
+    }
+}
+
+// ===========================================
+// SCHEMA
+// ===========================================
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check stats against the cws-stats.json schema
+ * @param {Object} stats - Stats to write
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateStats(stats) {
+    const errors = [];
+
+    if (!isCount(stats.users)) errors.push('users must be a non-negative integer');
+    if (!isCount(stats.countries)) errors.push('countries must be a non-negative integer');
+    if (stats.rating !== undefined && !(typeof stats.rating === 'number' && stats.rating >= 0 && stats.rating <= 5)) {
+        errors.push('rating must be a number between 0 and 5');
+    }
+    if (stats.ratingCount !== undefined && !isCount(stats.ratingCount)) {
+        errors.push('ratingCount must be a non-negative integer');
+    }
+    if (typeof stats.updatedAt !== 'string' || isNaN(Date.parse(stats.updatedAt))) {
+        errors.push('updatedAt must be an ISO 8601 date-time');
+    }
+
+    if (!Array.isArray(stats.history)) {
+        errors.push('history must be an array');
+    } else {
+        stats.history.forEach((entry, i) => {
+            if (!entry || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date) || isNaN(Date.parse(entry.date))) {
+                errors.push('history[' + i + '].date must be a YYYY-MM-DD date');
+            } else if (i > 0 && stats.history[i - 1].date >= entry.date) {
+                errors.push('history[' + i + '] is not in date order');
+            }
+            if (!entry || !isCount(entry.users)) {
+                errors.push('history[' + i + '].users must be a non-negative integer');
+            }
+        });
+    }
+
+    return errors;
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+/**
+ * Read the current stats; older files stored users as a string ("1K")
+ * and had no history
+ */
+function readStats(file) {
+    if (!fs.existsSync(file)) return { users: 0, countries: 0, history: [] };
+
+    const stats = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    stats.users = stats.users === undefined ? 0 : parseCount(stats.users);
+    stats.history = Array.isArray(stats.history) ? stats.history : [];
+    return stats;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const previous = readStats(options.file);
+
+    console.log('update-cws-stats: fetching from ' + options.endpoint);
+
+    const users = await fetchStat('users', parseCount, options, true);
+    const rating = await fetchStat('rating', parseRating, options, false);
+    const ratingCount = await fetchStat('rating-count', parseCount, options, false);
+
+    if (previous.users > 0 && users < previous.users * (1 - options.maxDrop) && !options.allowDrop) {
+        throw new Error('users dropped from ' + previous.users + ' to ' + users +
+            ' (more than ' + Math.round(options.maxDrop * 100) + '%); rerun with --allow-drop if this is real');
+    }
+
+    const now = new Date();
+    const today = now.toISOString().slice(0, 10);
+    const history = previous.history
+        .filter(entry => entry.date !== today)
+        .concat([{ date: today, users: users }])
+        .slice(-HISTORY_LIMIT);
+
+    const stats = {
+        users: users,
+        countries: previous.countries || 0,
+        rating: rating !== undefined ? rating : previous.rating,
+        ratingCount: ratingCount !== undefined ? ratingCount : previous.ratingCount,
+        updatedAt: now.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        history: history
+    };
+
+    const errors = validateStats(stats);
+    if (errors.length > 0) {
+        errors.forEach(message => console.error('  Error: ' + message));
+        throw new Error('stats do not match the schema');
+    }
+
+    const json = JSON.stringify(stats, null, 2) + '\n';
+    if (options.dryRun) {
+        process.stdout.write(json);
+    } else {
+        fs.writeFileSync(options.file, json, 'utf-8');
+    }
+
+    console.log('update-cws-stats: ' + users + ' users (was ' + previous.users + ')' +
+        (rating !== undefined ? ', rating ' + rating : '') +
+        (ratingCount !== undefined ? ', ' + ratingCount + ' reviews' : ''));
+}
+
+main().catch(err => {
+    console.error('update-cws-stats: ' + err.message);
+    process.exit(1);
+});
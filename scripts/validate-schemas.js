@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/**
+ * Post-build check of the structured data in every dist/**\/*.html page.
+ *
+ * Runs last in the build (and alone with npm run validate:schemas), after
+ * patch-schemas.js and sync-pricing.js, so it sees the JSON-LD exactly as
+ * it ships. For every
+ * <script type="application/ld+json"> block it checks:
+ *   - JSON syntax and a schema.org "@context"
+ *   - required properties of the types we use (errors) and recommended
+ *     ones (warnings), per RULES below
+ *   - that URL properties are absolute http(s) URLs
+ *   - that "inLanguage" matches the page <html lang>
+ *   - that Offer and AggregateOffer prices match assets/data/pricing.json
+ *
+ * Problems are printed as dist/<page>:<line>: <type>: <message>, the line
+ * being that of the node (or of the JSON error). Nodes that only reference
+ * another one ({ "@id": ... }) are not checked.
+ *
+ * Usage: node scripts/validate-schemas.js [--strict]
+ *   --strict  Also exit 1 when a recommended property is missing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pricing = require('./sync-pricing');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+const STRICT = process.argv.slice(2).indexOf('--strict') !== -1;
+
+// Google's article guidelines truncate longer headlines
+const HEADLINE_MAX_LENGTH = 110;
+
+const URL_PROPERTIES = ['@id', 'url', 'item', 'image', 'logo', 'screenshot', 'downloadUrl', 'installUrl', 'sameAs'];
+
+/**
+ * Required and recommended properties per @type. "check" adds checks a
+ * property list cannot express; it returns error messages.
+ */
+const RULES = {
+    SoftwareApplication: {
+        required: ['name', 'offers'],
+        recommended: ['applicationCategory', 'operatingSystem']
+    },
+    Product: {
+        required: ['name', 'offers'],
+        recommended: ['description', 'image', 'brand']
+    },
+    Offer: {
+        required: ['price', 'priceCurrency'],
+        recommended: ['priceValidUntil']
+    },
+    AggregateOffer: {
+        required: ['lowPrice', 'priceCurrency'],
+        recommended: ['highPrice', 'offerCount']
+    },
+    Organization: {
+        required: ['name'],
+        recommended: ['url']
+    },
+    WebSite: {
+        required: ['name', 'url'],
+        recommended: ['description', 'publisher', 'inLanguage']
+    },
+    FAQPage: {
+        required: ['mainEntity'],
+        recommended: [],
+        check: function(node) {
+            var questions = [].concat(node.mainEntity || []);
+            if (questions.length === 0) return ['mainEntity has no Question'];
+
+            var errors = [];
+            questions.forEach(function(question, i) {
+                if (question['@type'] !== 'Question') {
+                    errors.push('mainEntity[' + i + '] is not a Question');
+                } else if (!isFilled(question.name)) {
+                    errors.push('mainEntity[' + i + '] has no name');
+                } else if (!question.acceptedAnswer || !isFilled(question.acceptedAnswer.text)) {
+                    errors.push('mainEntity[' + i + '] ("' + question.name + '") has no acceptedAnswer.text');
+                }
+            });
+            return errors;
+        }
+    },
+    Article: {
+        required: ['headline'],
+        recommended: ['description', 'image', 'datePublished', 'dateModified', 'author', 'publisher'],
+        check: checkArticle
+    },
+    TechArticle: {
+        required: ['headline'],
+        recommended: ['description', 'datePublished', 'dateModified', 'author', 'publisher'],
+        check: checkArticle
+    },
+    BreadcrumbList: {
+        required: ['itemListElement'],
+        recommended: [],
+        check: function(node) {
+            var items = [].concat(node.itemListElement || []);
+            if (items.length === 0) return ['itemListElement has no ListItem'];
+
+            var errors = [];
+            items.forEach(function(item, i) {
+                if (item.position !== i + 1) {
+                    errors.push('itemListElement[' + i + '] has position ' + item.position + ', expected ' + (i + 1));
+                }
+                if (!isFilled(item.name)) {
+                    errors.push('itemListElement[' + i + '] has no name');
+                }
+                // Only the last crumb (the current page) may omit its URL
+                if (!item.item && i < items.length - 1) {
+                    errors.push('itemListElement[' + i + '] has no item URL');
+                }
+            });
+            return errors;
+        }
+    },
+    HowTo: {
+        required: ['name', 'step'],
+        recommended: ['description', 'totalTime'],
+        check: function(node) {
+            var steps = [].concat(node.step || []);
+            if (steps.length === 0) return ['step has no HowToStep'];
+
+            var errors = [];
+            steps.forEach(function(step, i) {
+                if (!isFilled(step.text) && !step.itemListElement) {
+                    errors.push('step[' + i + '] has no text');
+                }
+            });
+            return errors;
+        }
+    }
+};
+
+function checkArticle(node) {
+    if (typeof node.headline === 'string' && node.headline.length > HEADLINE_MAX_LENGTH) {
+        return ['headline is ' + node.headline.length + ' characters (max ' + HEADLINE_MAX_LENGTH + ')'];
+    }
+    return [];
+}
+
+function isFilled(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim() !== '';
+    return value !== undefined && value !== null;
+}
+
+function getHtmlFiles(dir, prefix) {
+    prefix = prefix || '';
+    const files = [];
+    for (const entry of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, entry);
+        const relPath = prefix ? prefix + '/' + entry : entry;
+        if (fs.statSync(fullPath).isDirectory()) {
+            files.push.apply(files, getHtmlFiles(fullPath, relPath));
+        } else if (entry.endsWith('.html')) {
+            files.push(relPath);
+        }
+    }
+    return files;
+}
+
+function getLine(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+// ===========================================
+// PRICES
+// ===========================================
+
+/**
+ * Expected Offer and AggregateOffer values by "@id", from pricing.json
+ */
+function loadExpectedPrices() {
+    var config = JSON.parse(fs.readFileSync(pricing.CONFIG_PATH, 'utf-8'));
+    var prices = {};
+    Object.keys(config.plans).forEach(function(planId) {
+        prices[planId] = pricing.getPlanPrices(config.plans[planId]);
+    });
+
+    var expected = {};
+    config.offers.forEach(function(offer) {
+        expected[offer.id] = {
+            price: pricing.getPrice(prices, offer.plan, offer.price),
+            priceCurrency: config.currency
+        };
+    });
+    config.aggregateOffers.forEach(function(aggregate) {
+        var values = aggregate.offers.map(function(id) { return expected[id].price; });
+        expected[aggregate.id] = {
+            lowPrice: Math.min.apply(null, values),
+            highPrice: Math.max.apply(null, values),
+            priceCurrency: config.currency,
+            offerCount: values.length
+        };
+    });
+    return expected;
+}
+
+function checkPrices(node, expectedPrices) {
+    var expected = expectedPrices[node['@id']];
+    if (!expected) {
+        return [(node['@id'] ? '"' + node['@id'] + '" is not in pricing.json' : 'has no "@id" to match pricing.json')];
+    }
+
+    return Object.keys(expected)
+        .filter(function(key) { return node[key] !== undefined && String(node[key]) !== String(expected[key]); })
+        .map(function(key) { return key + ' is "' + node[key] + '", pricing.json says "' + expected[key] + '"'; });
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+function getType(node) {
+    return [].concat(node['@type'] || []).join(', ');
+}
+
+/**
+ * A node that only points at another one, e.g. "author": { "@id": ... }
+ */
+function isReference(node) {
+    return Object.keys(node).every(function(key) { return key === '@id'; });
+}
+
+function checkUrls(node) {
+    var errors = [];
+    URL_PROPERTIES.forEach(function(key) {
+        [].concat(node[key] || []).forEach(function(value) {
+            if (typeof value !== 'string') return;
+            if (!/^https?:\/\/[^/\s]+/.test(value)) {
+                errors.push(key + ' "' + value + '" is not an absolute URL');
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Check one typed node against its rules
+ * @param {Object} node - JSON-LD node
+ * @param {Object} context - { lang, expectedPrices }
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function validateNode(node, context) {
+    var result = { errors: checkUrls(node), warnings: [] };
+    var rules = RULES[getType(node)];
+
+    if (node.inLanguage !== undefined && node.inLanguage !== context.lang) {
+        result.errors.push('inLanguage is "' + node.inLanguage + '" on a "' + context.lang + '" page');
+    }
+    if (!rules) return result;
+
+    rules.required.forEach(function(key) {
+        if (!isFilled(node[key])) result.errors.push('missing required property "' + key + '"');
+    });
+    rules.recommended.forEach(function(key) {
+        if (!isFilled(node[key])) result.warnings.push('missing recommended property "' + key + '"');
+    });
+    if (rules.check) {
+        result.errors = result.errors.concat(rules.check(node));
+    }
+    if (node['@type'] === 'Offer' || node['@type'] === 'AggregateOffer') {
+        result.errors = result.errors.concat(checkPrices(node, context.expectedPrices));
+    }
+    return result;
+}
+
+/**
+ * Validate every typed node of a parsed block, depth first. Lines are found
+ * by searching the block text for each "@type" in document order.
+ */
+function validateTree(value, block, context, report) {
+    if (Array.isArray(value)) {
+        value.forEach(function(item) { validateTree(item, block, context, report); });
+        return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    if (value['@type'] && !isReference(value)) {
+        var found = block.content.indexOf('"@type": ' + JSON.stringify(value['@type']), block.cursor);
+        if (found !== -1) block.cursor = found + 1;
+        var line = block.line + (found !== -1 ? getLine(block.content, found) - 1 : 0);
+
+        var result = validateNode(value, context);
+        var label = context.file + ':' + line + ': ' + getType(value) + ': ';
+        result.errors.forEach(function(message) { report.errors.push(label + message); });
+        result.warnings.forEach(function(message) { report.warnings.push(label + message); });
+    }
+
+    Object.keys(value).forEach(function(key) {
+        validateTree(value[key], block, context, report);
+    });
+}
+
+/**
+ * Validate the JSON-LD blocks of one page
+ * @param {string} file - Path shown in messages (dist/...)
+ * @param {string} html - Page HTML
+ * @param {Object} expectedPrices - From loadExpectedPrices()
+ * @param {Object} report - { errors, warnings, blocks } to add to
+ */
+function validatePage(file, html, expectedPrices, report) {
+    var langMatch = html.match(/<html[^>]*\slang="([^"]+)"/);
+    var context = { file: file, lang: langMatch ? langMatch[1] : 'en', expectedPrices: expectedPrices };
+    // Same matching as extractJsonLdBlocks() in patch-schemas.js
+    var regex = /(<script\b[^>]*\btype\s*=\s*["']?application\/ld\+json["']?[^>]*>)([\s\S]*?)<\/script\s*>/gi;
+    var match;
+
+    while ((match = regex.exec(html)) !== null) {
+        var block = {
+            content: match[2],
+            line: getLine(html, match.index + match[1].length),
+            cursor: 0
+        };
+        report.blocks++;
+
+        var parsed;
+        try {
+            parsed = JSON.parse(block.content);
+        } catch (err) {
+            var position = /position (\d+)/.exec(err.message);
+            var line = block.line + (position ? getLine(block.content, parseInt(position[1], 10)) - 1 : 0);
+            report.errors.push(file + ':' + line + ': invalid JSON: ' + err.message);
+            continue;
+        }
+
+        if (!/^https?:\/\/schema\.org\/?$/.test(parsed['@context'])) {
+            report.errors.push(file + ':' + block.line + ': "@context" is not https://schema.org');
+        }
+        validateTree(parsed, block, context, report);
+    }
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+function main() {
+    var expectedPrices = loadExpectedPrices();
+    var files = getHtmlFiles(DIST_DIR);
+    var report = { errors: [], warnings: [], blocks: 0 };
+
+    files.forEach(function(file) {
+        var html = fs.readFileSync(path.join(DIST_DIR, file), 'utf-8');
+        validatePage(path.relative(ROOT_DIR, path.join(DIST_DIR, file)), html, expectedPrices, report);
+    });
+
+    report.warnings.forEach(function(message) {
+        console.warn('  Warning: ' + message);
+    });
+    report.errors.forEach(function(message) {
+        console.error('  Error: ' + message);
+    });
+
+    console.log('validate-schemas: ' + report.blocks + ' JSON-LD block(s) in ' + files.length + ' page(s), ' +
+        report.errors.length + ' error(s), ' + report.warnings.length + ' warning(s)');
+
+    if (report.errors.length > 0 || (STRICT && report.warnings.length > 0)) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,542 @@
+/**
+ * Site Search
+ *
+ * Full-text search of the user guide, the blog and the changelog, in the
+ * language of the page.
+ *
+ * Features:
+ * - The index is assets/data/search/<lang>.json, written by
+ *   scripts/build-search-index.js from the built pages; it is loaded the
+ *   first time the search opens
+ * - Opens with the nav button, or "/" and Ctrl+K (⌘K on Mac) outside
+ *   form fields; ↑/↓ choose a result, Enter opens it, Escape closes
+ * - Each word of the query matches the start of a word, accents and case
+ *   aside ("cle" finds "Clé"); sections matching every word come first,
+ *   then those matching the most words. Headings weigh more than text,
+ *   and the guide and blog more than the changelog
+ * - Results link to the exact section (user-guide.html#installation,
+ *   changelog.html#v0.4.0.9) and show a snippet with the matches marked
+ * - Links are made relative to the canonical URL (site-links.js), so they
+ *   also work on preview hosts and locally
+ *
+ * Markup: a hidden [data-search-open] button in the nav (shown by this
+ * script) with a .search-shortcut; its translated data-label,
+ * data-placeholder, data-close, data-hint, data-count ({count}),
+ * data-empty ({query}) and data-error attributes hold the dialog's
+ * strings. The dialog is created on first use. Needs site-links.js,
+ * loaded before this script.
+ */
+
+(function() {
+    'use strict';
+
+    const INDEX_BASE = new URL(
+        'assets/data/search/',
+        document.currentScript ? document.currentScript.src : window.location.href
+    ).href;
+
+    const MAX_RESULTS = 10;
+    const SNIPPET_LENGTH = 180;
+    const SNIPPET_LEAD = 60;
+    const MAX_TEXT_HITS = 5;
+
+    const WEIGHTS = {
+        heading: 10,
+        page: 4,
+        text: 1,
+        phraseHeading: 12,
+        phraseText: 4
+    };
+
+    // The changelog mentions everything once; guides explain it
+    const TYPE_WEIGHTS = {
+        guide: 1.2,
+        blog: 1,
+        changelog: 0.7
+    };
+
+    const WORD_CHAR = /[\p{L}\p{N}]/u;
+    const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+    let index = null;
+    let loading = null;
+    let dialog = null;
+    let elements = {};
+    let results = [];
+    let active = -1;
+    let opener = null;
+
+    // ===========================================
+    // MATCHING
+    // ===========================================
+
+    /**
+     * Lowercase without accents, one character for one, so that positions
+     * in the folded text are positions in the original
+     */
+    function fold(text) {
+        let folded = '';
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i].normalize('NFD')[0].toLowerCase();
+            folded += char.length === 1 ? char : text[i];
+        }
+        return folded;
+    }
+
+    function getTerms(query) {
+        const terms = fold(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        return Array.from(new Set(terms));
+    }
+
+    /**
+     * Position of the next occurrence of a term at the start of a word
+     * @returns {number} -1 when there is none
+     */
+    function findWord(folded, term, from) {
+        let index = folded.indexOf(term, from);
+        while (index > 0 && WORD_CHAR.test(folded[index - 1])) {
+            index = folded.indexOf(term, index + 1);
+        }
+        return index;
+    }
+
+    function countWords(folded, term, max) {
+        let count = 0;
+        let index = findWord(folded, term, 0);
+        while (index !== -1 && count < max) {
+            count++;
+            index = findWord(folded, term, index + term.length);
+        }
+        return count;
+    }
+
+    /**
+     * Score of a section for the query terms
+     * @returns {{matched: number, score: number}} matched is the number
+     *   of terms found
+     */
+    function scoreSection(section, terms, phrase) {
+        let matched = 0;
+        let score = 0;
+
+        terms.forEach(term => {
+            const inHeading = findWord(section.heading, term, 0) !== -1;
+            const inPage = findWord(section.page.title, term, 0) !== -1;
+            const textHits = countWords(section.text, term, MAX_TEXT_HITS);
+            if (!inHeading && !inPage && textHits === 0) return;
+
+            matched++;
+            score += (inHeading ? WEIGHTS.heading : 0) +
+                (inPage ? WEIGHTS.page : 0) +
+                textHits * WEIGHTS.text;
+        });
+
+        if (terms.length > 1 && matched === terms.length) {
+            if (section.heading.indexOf(phrase) !== -1) score += WEIGHTS.phraseHeading;
+            if (section.text.indexOf(phrase) !== -1) score += WEIGHTS.phraseText;
+        }
+
+        return { matched: matched, score: score * (TYPE_WEIGHTS[section.page.type] || 1) };
+    }
+
+    /**
+     * Best sections for a query: those matching the most terms, by score
+     */
+    function search(query) {
+        const terms = getTerms(query);
+        if (terms.length === 0) return { terms: terms, sections: [] };
+
+        const phrase = terms.join(' ');
+        let best = 1;
+        let found = [];
+
+        index.sections.forEach(section => {
+            const result = scoreSection(section.folded, terms, phrase);
+            if (result.matched < best) return;
+            if (result.matched > best) {
+                best = result.matched;
+                found = [];
+            }
+            found.push({ section: section, score: result.score });
+        });
+
+        found.sort((a, b) => b.score - a.score);
+        return {
+            terms: terms,
+            sections: found.slice(0, MAX_RESULTS).map(result => result.section)
+        };
+    }
+
+    // ===========================================
+    // INDEX
+    // ===========================================
+
+    /**
+     * Link to a section that works on this host (site-links.js)
+     */
+    function getHref(url, anchor) {
+        const href = window.SiteLinks.localHref(url);
+        return anchor ? href + '#' + encodeURIComponent(anchor) : href;
+    }
+
+    /**
+     * Expand the compact index: sections get their page, link and folded
+     * texts for matching
+     */
+    function readIndex(data) {
+        const pages = data.pages.map(page => Object.assign({ folded: fold(page.title) }, page));
+        return {
+            sections: data.sections.map(entry => {
+                const page = pages[entry[0]];
+                return {
+                    page: page,
+                    href: getHref(page.url, entry[1]),
+                    heading: entry[2],
+                    text: entry[3],
+                    folded: {
+                        page: { title: page.folded, type: page.type },
+                        heading: fold(entry[2]),
+                        text: fold(entry[3])
+                    }
+                };
+            })
+        };
+    }
+
+    /**
+     * Load the index of the page's language once
+     * @returns {Promise<boolean>} Whether the index is available
+     */
+    function loadIndex() {
+        if (!loading) {
+            const lang = (document.documentElement.lang || 'en').split('-')[0];
+            loading = fetch(INDEX_BASE + encodeURIComponent(lang) + '.json', {
+                headers: { 'Accept': 'application/json' }
+            }).then(response => {
+                if (!response.ok) throw new Error('index returned ' + response.status);
+                return response.json();
+            }).then(data => {
+                index = readIndex(data);
+                return true;
+            }).catch(error => {
+                console.warn('[Search] Failed to load the index:', error.message);
+                loading = null;
+                return false;
+            });
+        }
+        return loading;
+    }
+
+    // ===========================================
+    // RESULTS
+    // ===========================================
+
+    /**
+     * Append text to an element with the words matching a term in <mark>
+     */
+    function appendHighlighted(parent, text, terms) {
+        const folded = fold(text);
+        const ranges = [];
+
+        terms.forEach(term => {
+            let index = findWord(folded, term, 0);
+            while (index !== -1) {
+                ranges.push([index, index + term.length]);
+                index = findWord(folded, term, index + term.length);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        let last = 0;
+        ranges.forEach(range => {
+            if (range[0] < last) return;
+            parent.appendChild(document.createTextNode(text.slice(last, range[0])));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(range[0], range[1]);
+            parent.appendChild(mark);
+            last = range[1];
+        });
+        parent.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    /**
+     * About SNIPPET_LENGTH characters of text around the first match,
+     * cut at spaces
+     */
+    function getSnippet(section, terms) {
+        const text = section.text;
+        const first = terms.reduce((min, term) => {
+            const index = findWord(section.folded.text, term, 0);
+            return index !== -1 && (min === -1 || index < min) ? index : min;
+        }, -1);
+
+        let start = Math.max(0, first - SNIPPET_LEAD);
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            if (space > start) end = space;
+        }
+
+        return (start > 0 ? '… ' : '') + text.slice(start, end) + (end < text.length ? ' …' : '');
+    }
+
+    function renderResult(section, position, terms) {
+        const item = document.createElement('li');
+        item.id = 'search-result-' + position;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+
+        const link = document.createElement('a');
+        link.className = 'search-result';
+        link.href = section.href;
+        link.tabIndex = -1;
+
+        const page = document.createElement('span');
+        page.className = 'search-result-page';
+        page.textContent = section.page.title;
+
+        const heading = document.createElement('span');
+        heading.className = 'search-result-heading';
+        appendHighlighted(heading, section.heading, terms);
+
+        const snippet = document.createElement('span');
+        snippet.className = 'search-result-snippet';
+        appendHighlighted(snippet, getSnippet(section, terms), terms);
+
+        link.append(page, heading, snippet);
+        item.appendChild(link);
+
+        item.addEventListener('mousemove', () => {
+            if (active !== position) setActive(position);
+        });
+        link.addEventListener('click', close);
+
+        return item;
+    }
+
+    function setActive(position) {
+        const items = elements.list.children;
+        if (items[active]) items[active].setAttribute('aria-selected', 'false');
+
+        active = position;
+        if (items[active]) {
+            items[active].setAttribute('aria-selected', 'true');
+            items[active].scrollIntoView({ block: 'nearest' });
+            elements.input.setAttribute('aria-activedescendant', items[active].id);
+        } else {
+            elements.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function setStatus(text) {
+        elements.status.textContent = text;
+        elements.status.hidden = text === '';
+    }
+
+    function update() {
+        const query = elements.input.value.trim();
+        const found = index && query ? search(query) : { terms: [], sections: [] };
+
+        results = found.sections;
+        elements.list.textContent = '';
+        results.forEach((section, position) => {
+            elements.list.appendChild(renderResult(section, position, found.terms));
+        });
+
+        elements.input.setAttribute('aria-expanded', results.length > 0 ? 'true' : 'false');
+        setActive(results.length > 0 ? 0 : -1);
+
+        if (!index || !query) {
+            setStatus('');
+        } else if (results.length === 0) {
+            setStatus((elements.strings.empty || '').replace('{query}', query));
+        } else {
+            setStatus((elements.strings.count || '').replace('{count}', results.length));
+        }
+    }
+
+    // ===========================================
+    // DIALOG
+    // ===========================================
+
+    function createIcon(name) {
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-outlined';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = name;
+        return icon;
+    }
+
+    /**
+     * Build the dialog with the strings of the nav button
+     */
+    function createDialog(button) {
+        const strings = {
+            label: button.getAttribute('data-label') || '',
+            placeholder: button.getAttribute('data-placeholder') || '',
+            close: button.getAttribute('data-close') || '',
+            hint: button.getAttribute('data-hint') || '',
+            count: button.getAttribute('data-count') || '',
+            empty: button.getAttribute('data-empty') || '',
+            error: button.getAttribute('data-error') || ''
+        };
+
+        dialog = document.createElement('div');
+        dialog.className = 'search-dialog';
+        dialog.hidden = true;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'search-backdrop';
+        backdrop.addEventListener('click', close);
+
+        const panel = document.createElement('div');
+        panel.className = 'search-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-label', strings.label);
+
+        const field = document.createElement('div');
+        field.className = 'search-field';
+
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'search-input';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.placeholder = strings.placeholder;
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-label', strings.label);
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', 'search-results');
+        input.setAttribute('aria-expanded', 'false');
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'search-close';
+        closeButton.setAttribute('aria-label', strings.close);
+        closeButton.appendChild(createIcon('close'));
+        closeButton.addEventListener('click', close);
+
+        field.append(createIcon('search'), input, closeButton);
+
+        const status = document.createElement('p');
+        status.className = 'search-status';
+        status.setAttribute('role', 'status');
+        status.hidden = true;
+
+        const list = document.createElement('ul');
+        list.id = 'search-results';
+        list.className = 'search-results';
+        list.setAttribute('role', 'listbox');
+        list.setAttribute('aria-label', strings.label);
+
+        const hint = document.createElement('p');
+        hint.className = 'search-hint';
+        hint.textContent = strings.hint;
+
+        panel.append(field, status, list, hint);
+        dialog.append(backdrop, panel);
+        document.body.appendChild(dialog);
+
+        elements = {
+            panel: panel,
+            input: input,
+            closeButton: closeButton,
+            status: status,
+            list: list,
+            strings: strings
+        };
+
+        input.addEventListener('input', update);
+        panel.addEventListener('keydown', onDialogKeydown);
+    }
+
+    function onDialogKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (results.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActive((active + step + results.length) % results.length);
+        } else if (e.key === 'Enter' && e.target === elements.input) {
+            const item = elements.list.children[active];
+            if (!item) return;
+            e.preventDefault();
+            const link = item.querySelector('a');
+            close();
+            window.location.href = link.href;
+        } else if (e.key === 'Tab') {
+            // Keep focus in the dialog: the input and the close button
+            e.preventDefault();
+            (document.activeElement === elements.input ? elements.closeButton : elements.input).focus();
+        }
+    }
+
+    async function open(button) {
+        if (!dialog) createDialog(button);
+        if (!dialog.hidden) return;
+
+        opener = document.activeElement;
+        dialog.hidden = false;
+        document.body.classList.add('search-open');
+        elements.input.focus();
+        elements.input.select();
+
+        if (!index) {
+            const loaded = await loadIndex();
+            if (!loaded) {
+                setStatus(elements.strings.error);
+                return;
+            }
+        }
+        update();
+    }
+
+    function close() {
+        if (!dialog || dialog.hidden) return;
+
+        dialog.hidden = true;
+        document.body.classList.remove('search-open');
+        if (opener && typeof opener.focus === 'function') opener.focus();
+        opener = null;
+    }
+
+    // ===========================================
+    // INIT
+    // ===========================================
+
+    function isTyping(target) {
+        return target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+    }
+
+    function init() {
+        const button = document.querySelector('[data-search-open]');
+        if (!button) return;
+
+        const shortcut = button.querySelector('.search-shortcut');
+        if (shortcut) shortcut.textContent = IS_MAC ? '⌘K' : 'Ctrl K';
+
+        button.addEventListener('click', () => open(button));
+        button.hidden = false;
+
+        document.addEventListener('keydown', e => {
+            if (isTyping(e.target)) return;
+
+            const isShortcut = (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k';
+            const isSlash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey;
+            if (!isShortcut && !isSlash) return;
+
+            e.preventDefault();
+            open(button);
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
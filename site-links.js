@@ -0,0 +1,68 @@
+/**
+ * Site Links
+ *
+ * Link helpers shared by the scripts that point at other pages of the
+ * site (lang-switcher.js, search.js).
+ *
+ * Features:
+ * - Turns a canonical URL of the site (https://integrationnode.com/...)
+ *   into a link relative to the page's own canonical URL, so it also works
+ *   on preview hosts and locally
+ *
+ * Markup: none; load it before the scripts that use it.
+ *
+ * API for other scripts:
+ *   window.SiteLinks.localHref(url)        Link to url that works on this host
+ *   window.SiteLinks.relativePath(from, to) Path between two URLs
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Path from one URL to another ("../../es/blog/post.html")
+     * @param {URL} from - URL of the current page
+     * @param {URL} to - Target URL on the same site
+     * @returns {string}
+     */
+    function relativePath(from, to) {
+        const fromDirs = from.pathname.split('/').slice(0, -1);
+        const toParts = to.pathname.split('/');
+        let common = 0;
+
+        while (common < fromDirs.length && common < toParts.length - 1 && fromDirs[common] === toParts[common]) {
+            common++;
+        }
+
+        const up = fromDirs.slice(common).map(() => '..');
+        const path = up.concat(toParts.slice(common)).join('/');
+        return path || './';
+    }
+
+    /**
+     * Link to a page of the site that works on this host: URLs on the
+     * origin of the page's <link rel="canonical"> are resolved relative to
+     * it, other URLs are returned as they are
+     * @param {string} url - Absolute or page-relative URL
+     * @returns {string} Absolute URL
+     */
+    function localHref(url) {
+        const canonicalLink = document.querySelector('link[rel="canonical"]');
+        const target = new URL(url, window.location.href);
+
+        if (canonicalLink) {
+            const canonical = new URL(canonicalLink.href, window.location.href);
+            if (canonical.origin === target.origin) {
+                return new URL(relativePath(canonical, target), window.location.href).href;
+            }
+        }
+
+        return target.href;
+    }
+
+    window.SiteLinks = {
+        localHref: localHref,
+        relativePath: relativePath
+    };
+
+})();
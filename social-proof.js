@@ -3,15 +3,85 @@
   if (!section) return;
 
   var userEl = document.getElementById('cws-user-count');
+  var growthEl = document.getElementById('cws-user-growth');
   var countryEl = document.getElementById('cws-country-count');
   var countryStat = document.getElementById('cws-countries-stat');
+  var ratingEl = document.getElementById('cws-rating');
+  var ratingStat = document.getElementById('cws-rating-stat');
+  var reviewEl = document.getElementById('cws-review-count');
+  var reviewStat = document.getElementById('cws-reviews-stat');
   if (!userEl) return;
 
+  // "+X this month" compares the user count with the history entry
+  // from this many days before the latest one
+  var GROWTH_DAYS = 30;
+
   // Resolve path for multi-language subdirectories
   var path = window.location.pathname;
   var isSubLang = /\/(es|fr|de|it|pt|nl|pl)\//.test(path);
   var prefix = isSubLang ? '../' : '';
 
+  // Each language build sets <html lang>, so numbers follow the page language
+  var locale = document.documentElement.lang || 'en';
+  var plainFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+  var compactFormat = new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 });
+  var ratingFormat = new Intl.NumberFormat(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+  /**
+   * Format a count for the page language: "1,2 k" where the language has
+   * a short form for thousands, "1.200" where it has none (de, it).
+   * Compact values are rounded down so a "+" suffix stays true.
+   */
+  function formatCount(value) {
+    if (value < 1000) return plainFormat.format(value);
+
+    var step = Math.pow(10, Math.floor(Math.log10(value) / 3) * 3 - 1);
+    var compact = compactFormat.format(Math.floor(value / step) * step);
+    return /[^\d\s.,]/.test(compact) ? compact : plainFormat.format(value);
+  }
+
+  /**
+   * Parse a count stored as a number or as text ("84", "1,234", "1.2k")
+   * @returns {number} NaN when the value is missing or not a count
+   */
+  function parseCount(value) {
+    if (typeof value === 'number') return value >= 0 ? Math.floor(value) : NaN;
+
+    var match = /^\s*([\d.,]+)\s*([km]?)/i.exec(value || '');
+    if (!match) return NaN;
+
+    var unit = match[2].toLowerCase();
+    var number = parseFloat(match[1].replace(/,/g, ''));
+    return Math.round(number * (unit === 'k' ? 1000 : unit === 'm' ? 1000000 : 1));
+  }
+
+  /**
+   * Users gained over the last GROWTH_DAYS days, from the dated history
+   * ([{ date: "2026-04-18", users: 84 }, ...])
+   * @returns {number|null} null when the history does not reach back far
+   *   enough or shows no growth
+   */
+  function getGrowth(history, users) {
+    if (!Array.isArray(history)) return null;
+
+    var entries = history.filter(function (entry) {
+      return entry && !isNaN(Date.parse(entry.date)) && !isNaN(parseCount(entry.users));
+    }).sort(function (a, b) {
+      return Date.parse(a.date) - Date.parse(b.date);
+    });
+    if (entries.length < 2) return null;
+
+    var cutoff = Date.parse(entries[entries.length - 1].date) - GROWTH_DAYS * 86400000;
+    var base = null;
+    entries.forEach(function (entry) {
+      if (Date.parse(entry.date) <= cutoff) base = entry;
+    });
+    if (!base) return null;
+
+    var growth = users - parseCount(base.users);
+    return growth > 0 ? growth : null;
+  }
+
   function countUp(el, target, suffix, duration) {
     var start = null;
     function step(timestamp) {
@@ -20,49 +90,80 @@
       // Ease-out: decelerates towards the end
       var eased = 1 - Math.pow(1 - progress, 3);
       var current = Math.floor(eased * target);
-      el.textContent = current + suffix;
+      el.textContent = formatCount(current) + suffix;
       if (progress < 1) {
         requestAnimationFrame(step);
       } else {
-        el.textContent = target + suffix;
+        el.textContent = formatCount(target) + suffix;
       }
     }
     requestAnimationFrame(step);
   }
 
-  function startAnimation(users, countries) {
-    countUp(userEl, users, '+', 1500);
-    if (countries > 0 && countryEl && countryStat) {
-      countryStat.style.display = '';
-      countUp(countryEl, countries, '', 1500);
+  function show(stat) {
+    if (stat) stat.style.display = '';
+  }
+
+  function startAnimation(stats) {
+    if (stats.users > 0) {
+      countUp(userEl, stats.users, '+', 1500);
+    }
+    if (stats.countries > 0 && countryEl && countryStat) {
+      show(countryStat);
+      countUp(countryEl, stats.countries, '', 1500);
+    }
+    if (stats.reviews > 0 && reviewEl && reviewStat) {
+      show(reviewStat);
+      countUp(reviewEl, stats.reviews, '', 1500);
+    }
+    if (stats.rating && ratingEl && ratingStat) {
+      show(ratingStat);
+      ratingEl.textContent = ratingFormat.format(stats.rating);
+    }
+    if (stats.growth && growthEl) {
+      var template = growthEl.getAttribute('data-growth') || '+{count}';
+      growthEl.textContent = template.replace('{count}', formatCount(stats.growth));
+      show(growthEl);
     }
   }
 
   fetch(prefix + 'assets/data/cws-stats.json')
     .then(function (res) { return res.json(); })
     .then(function (data) {
-      if (!data || !data.users) return;
+      if (!data) return;
 
-      var users = parseInt(data.users, 10);
-      var countries = parseInt(data.countries, 10) || 0;
-      if (isNaN(users)) return;
+      // Every field is optional: stats without data stay hidden
+      var rating = parseFloat(data.rating);
+      var stats = {
+        users: parseCount(data.users),
+        countries: parseCount(data.countries),
+        reviews: parseCount(data.ratingCount),
+        rating: rating > 0 && rating <= 5 ? rating : null,
+        growth: null
+      };
+      if (stats.users > 0) {
+        stats.growth = getGrowth(data.history, stats.users);
+      } else {
+        userEl.parentNode.style.display = 'none';
+      }
 
       // Set initial values before animation
-      userEl.textContent = '0+';
-      if (countries > 0 && countryEl) countryEl.textContent = '0';
+      if (stats.users > 0) userEl.textContent = formatCount(0) + '+';
+      if (stats.countries > 0 && countryEl) countryEl.textContent = formatCount(0);
+      if (stats.reviews > 0 && reviewEl) reviewEl.textContent = formatCount(0);
 
       // Animate when section enters viewport
       if ('IntersectionObserver' in window) {
         var observer = new IntersectionObserver(function (entries) {
           if (entries[0].isIntersecting) {
-            startAnimation(users, countries);
+            startAnimation(stats);
             observer.unobserve(section);
           }
         }, { threshold: 0.3 });
         observer.observe(section);
       } else {
         // Fallback: animate immediately
-        startAnimation(users, countries);
+        startAnimation(stats);
       }
     })
     .catch(function () {
@@ -0,0 +1,106 @@
+/**
+ * What's New Badge
+ *
+ * Shows "New in 0.4.0.9" next to the nav (and in the home hero) until the
+ * visitor has seen that release.
+ *
+ * Features:
+ * - The latest version comes from assets/data/latest-release.json, written
+ *   by scripts/build-changelog.js from assets/data/changelog.json
+ * - The badge links to the release on the changelog page (#v0.4.0.9)
+ * - Opening the changelog page or clicking the badge marks the release as
+ *   seen (localStorage); the next release brings the badge back
+ *
+ * Markup: hidden [data-whats-new] links with a .whats-new-label whose
+ * translated text contains {version}. The changelog page is recognized by
+ * its .release-list.
+ */
+
+(function() {
+    'use strict';
+
+    const LATEST_URL = new URL(
+        'assets/data/latest-release.json',
+        document.currentScript ? document.currentScript.src : window.location.href
+    ).href;
+
+    const STORAGE_KEY = 'whatsNew.seenVersion';
+
+    // localStorage throws when blocked (private mode, disabled cookies)
+    function getSeenVersion() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function setSeenVersion(version) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, version);
+        } catch (e) {
+            // The badge then stays until storage is available
+        }
+    }
+
+    /**
+     * Fetch the latest release
+     * @returns {Promise<Object|null>} { version, date } or null on error
+     */
+    async function fetchLatestRelease() {
+        try {
+            const response = await fetch(LATEST_URL, {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) {
+                console.warn('[WhatsNew] Latest release returned:', response.status);
+                return null;
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.warn('[WhatsNew] Failed to load latest release:', error.message);
+            return null;
+        }
+    }
+
+    function showBadge(badge, version) {
+        const label = badge.querySelector('.whats-new-label');
+        if (label) {
+            label.textContent = label.textContent.replace('{version}', version);
+        }
+
+        const href = badge.getAttribute('href') || 'changelog.html';
+        badge.setAttribute('href', href.split('#')[0] + '#v' + version);
+        badge.addEventListener('click', function() {
+            setSeenVersion(version);
+        });
+        badge.hidden = false;
+    }
+
+    async function init() {
+        const badges = document.querySelectorAll('[data-whats-new]');
+        const onChangelog = document.querySelector('.release-list') !== null;
+        if (badges.length === 0 && !onChangelog) return;
+
+        const latest = await fetchLatestRelease();
+        if (!latest || !latest.version) return;
+
+        if (onChangelog) {
+            setSeenVersion(latest.version);
+            return;
+        }
+        if (getSeenVersion() === latest.version) return;
+
+        badges.forEach(function(badge) {
+            showBadge(badge, latest.version);
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();